@@ -0,0 +1,58 @@
+'use strict';
+const fs   = require('fs');
+const path = require('path');
+
+// ─── DECK FILES ──────────────────────────────────────────────────────────────
+// One JSON file per deck in decks/, its id taken from the file name:
+//   { "name": "Baralho base", "kind": "base" | "expansion", "cards": [
+//       { "count": 2, "cap": 1, "lilies": ["R"], "bird": false, "art": "cap1_R", "fallback": "cap1" } ] }
+// count (default 1), lilies, bird and fallback may be left out. art and
+// fallback name PNGs in the card art dir, without the extension; a card whose
+// art is missing shows its fallback. A table plays one base deck plus any
+// number of expansions mixed in.
+const KINDS  = ['base', 'expansion'];
+const LILIES = ['Y', 'R', 'W', 'B'];
+const MAX_COUNT = 20;
+const MIN_BASE_CARDS = 12; // two rounds at a full table
+
+// Reads and checks every deck against the art on disk. A deck with a bad card
+// is left out as a whole; warnings say which and why, and which cards fell back.
+function loadDecks(dir, artDir) {
+  const art = new Set(fs.readdirSync(artDir).filter(f => f.endsWith('.png')).map(f => f.slice(0, -4)));
+  const decks = {}, warnings = [];
+  for (const f of fs.readdirSync(dir).filter(f => f.endsWith('.json')).sort()) {
+    const id = f.slice(0, -5);
+    try { decks[id] = parseDeck(id, JSON.parse(fs.readFileSync(path.join(dir, f), 'utf8')), art, warnings); }
+    catch (e) { warnings.push('deck ' + id + ' left out: ' + e.message); }
+  }
+  return { decks, warnings };
+}
+
+// Expands the counts into one card object per copy, as the engine deals them
+function parseDeck(id, def, art, warnings) {
+  if (!/^[\w-]+$/.test(id)) throw new Error('file name may only use letters, digits, - and _');
+  if (!def || typeof def.name !== 'string' || !def.name.trim()) throw new Error('no name');
+  if (!KINDS.includes(def.kind)) throw new Error('kind must be one of ' + KINDS.join(', '));
+  if (!Array.isArray(def.cards) || !def.cards.length) throw new Error('no cards');
+  const cards = [];
+  def.cards.forEach((c, i) => {
+    const { count = 1, cap, lilies = [], bird = false, art: img, fallback = null } = c || {};
+    const fail = msg => { throw new Error('card ' + (i + 1) + ': ' + msg); };
+    if (!Number.isInteger(count) || count < 1 || count > MAX_COUNT) fail('count must be 1 to ' + MAX_COUNT);
+    if (!Number.isInteger(cap) || cap < 1 || cap > 9) fail('cap must be 1 to 9');
+    if (!Array.isArray(lilies) || lilies.some(l => !LILIES.includes(l)) || new Set(lilies).size < lilies.length) fail('lilies must be distinct colours out of ' + LILIES.join(', '));
+    if (typeof bird !== 'boolean') fail('bird must be true or false');
+    if (typeof img !== 'string' || !img) fail('no art');
+    let shown = img;
+    if (!art.has(img)) {
+      if (!fallback || !art.has(fallback)) fail(img + '.png not found' + (fallback ? ', nor its fallback ' + fallback + '.png' : ''));
+      warnings.push('deck ' + id + ': ' + img + '.png not found, showing ' + fallback + '.png');
+      shown = fallback;
+    }
+    for (let k = 0; k < count; k++) cards.push({ cap, lilies: [...lilies], bird, img: shown, fallback });
+  });
+  if (def.kind === 'base' && cards.length < MIN_BASE_CARDS) throw new Error('a base deck needs at least ' + MIN_BASE_CARDS + ' cards');
+  return { id, name: def.name.trim(), kind: def.kind, cards };
+}
+
+module.exports = { loadDecks };
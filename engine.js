@@ -0,0 +1,460 @@
+'use strict';
+// Rules engine shared by the server and the browser's offline solo mode
+// (served as /engine.js). A pure state machine: step(game, action) returns the
+// next game and what happened, with no timers, sockets or lobby state, so
+// whoever drives a game decides when things happen. All randomness comes from
+// a seeded generator kept in the game, so a seed and the action list rebuild
+// any game exactly (see replay).
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.Engine = factory();
+})(typeof self !== 'undefined' ? self : this, function () {
+
+// House rules a table host may change before START. targetScore 0 plays the
+// deck passes out; collision 'underdog' hands a contested card to the bettor
+// with the fewest points instead of to nobody; betSecs 0 leaves betting untimed;
+// series > 1 plays rematches as a best-of-N series; deck and expansions are the
+// ids of the deck files the cards come from (see buildDeck).
+const DEFAULT_RULES   = { birdBonus: 5, lilyBonus: 10, passes: 2, targetScore: 0, collision: 'nobody', revealSecs: 5, betSecs: 0, series: 1, deck: 'base', expansions: [] };
+
+// ─── DECK ────────────────────────────────────────────────────────────────────
+// Cards are { cap, lilies, bird, img }, img naming a PNG in /public/cards/. The
+// decks themselves are data (decks/*.json, loaded by the server): each game
+// keeps the full list it was dealt from in g.cards.
+
+// The cards of a table's deck choice: its base deck plus the expansions mixed in.
+// decks maps deck ids to { cards }, as the server loads them.
+function buildDeck(decks, rules) {
+  return [rules.deck, ...rules.expansions].flatMap(id => decks[id].cards);
+}
+
+// Copies of a card are alike; art alone may be shared by different cards
+function cardKey(c) { return c.cap + ':' + [...c.lilies].sort().join('') + ':' + (c.bird ? 1 : 0); }
+
+function shuffle(a, g) {
+  const b = [...a];
+  for (let i = b.length - 1; i > 0; i--) {
+    const j = Math.floor(random(g) * (i + 1));
+    [b[i], b[j]] = [b[j], b[i]];
+  }
+  return b;
+}
+
+// ─── RANDOM ──────────────────────────────────────────────────────────────────
+// mulberry32. Its whole state is one 32-bit integer, kept in g.rng, so a game
+// and every JSON snapshot of it carry their own place in the sequence.
+function random(g) {
+  let t = g.rng = (g.rng + 0x6D2B79F5) | 0;
+  t = Math.imul(t ^ (t >>> 15), t | 1);
+  t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+  return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+}
+
+function newSeed() { return Math.floor(Math.random() * 0x100000000); }
+
+// ─── GAME ────────────────────────────────────────────────────────────────────
+// bots: optional per-seat difficulty level, null for human seats.
+// A human seat gets standIn while a bot plays it for them (disconnect or leave);
+// initialBots keeps the levels the game started with, as TAKEOVER changes them.
+// rules: the table's house rules, copied so later SET_RULES don't touch this game.
+// cards: the whole deck to deal from (see buildDeck).
+// seed: a 32-bit integer; a fresh one unless the game is being reproduced.
+function newGame(names, isSolo, bots, rules, cards, seed) {
+  const n = names.length;
+  if (!Number.isInteger(seed)) seed = newSeed();
+  const g = {
+    id: Math.random().toString(36).slice(2, 12), startedAt: Date.now(), log: [],
+    seed: seed >>> 0, rng: seed | 0, actions: [],
+    players: names.map((name, i) => ({ name, scored: [], birdCards: 0, bot: (bots && bots[i]) || null })),
+    initialBots: names.map((_, i) => (bots && bots[i]) || null),
+    n, cards, deck: null, discard: [], table: null,
+    bets: new Array(n).fill(null), birdHolder: null,
+    phase: 'BETTING', deckPass: 0, lastResult: null, deadline: null,
+    isSolo, turnGen: 0, winnerIdx: null, winners: [], finalScores: null, rematch: new Array(n).fill(false),
+    rules: { ...DEFAULT_RULES, ...rules },
+  };
+  g.deck = shuffle(cards, g); g.table = g.deck.splice(0, n);
+  return g;
+}
+
+// Rebuilds a game from its seed and action list; takes a game or its archived
+// record, both of which carry players, initialBots, isSolo, rules, cards, seed
+// and actions
+function replay({ players, initialBots, isSolo, rules, cards, seed, actions }) {
+  let g = newGame(players.map(p => p.name), isSolo, initialBots, rules, cards, seed);
+  for (const a of actions) g = step(g, a).g;
+  return g;
+}
+
+function computeScores(g) {
+  return g.players.map((p, i) => {
+    let pts = 0;
+    const lilies = new Set();
+    for (const c of p.scored) { pts += c.cap; c.lilies.forEach(l => lilies.add(l)); }
+    const caps = pts;
+    if (i === g.birdHolder) pts += g.rules.birdBonus;
+    const allLilies = ['Y','R','W','B'].every(c => lilies.has(c));
+    if (allLilies) pts += g.rules.lilyBonus;
+    return { name: p.name, pts, caps, scored: p.scored, lilies: [...lilies],
+             birdCards: p.birdCards, hasBird: i === g.birdHolder, allLilies, bot: p.bot, standIn: !!p.standIn };
+  });
+}
+
+// What seat sees of the game; seat -1 builds the read-only spectator view.
+// The server adds the lobby's own fields (host, series, spectators) on top.
+function gameView(g, seat) {
+  const sc = computeScores(g), spectator = seat < 0;
+  return {
+    phase: g.phase, n: g.n, table: g.table,
+    myBet: spectator ? null : g.bets[seat], betsPlaced: g.bets.map(b => b !== null),
+    lastResult: g.lastResult ? {
+      winners:    g.lastResult.winners,
+      birdUpdate: g.lastResult.birdUpdate,
+      cards:      g.lastResult.cards,
+      bets:       g.lastResult.bets,
+    } : null,
+    // Picks of the resolved rounds only, never the ones being placed
+    history: g.log.map(r => ({ round: r.round, bets: r.bets, winners: r.winners, caps: r.table.map(c => c.cap) })),
+    players: sc.map((s, i) => ({ ...s, isMe: i === seat, seat: i })),
+    birdHolder: g.birdHolder,
+    birdHolderCards: g.birdHolder !== null ? g.players[g.birdHolder].birdCards : 0,
+    deckPass: g.deckPass, deckLeft: g.deck.length,
+    winnerIdx: g.winnerIdx, winners: g.winners, finalScores: g.finalScores, targetReached: !!g.targetReached,
+    // The seed deals the whole game (bots' picks included): only once it is over
+    mySeat: seat, isSolo: g.isSolo, spectator, gameId: g.id, seed: g.phase === 'GAME_OVER' ? g.seed : null, rules: g.rules,
+    rematch: g.rematch, report: g.report || null,
+    myBirdCards: spectator ? 0 : g.players[seat].birdCards, turnGen: g.turnGen,
+    // Time left rather than the deadline itself, so client clock skew doesn't matter
+    betMsLeft: g.phase === 'BETTING' && g.deadline ? Math.max(0, g.deadline - Date.now()) : null,
+  };
+}
+
+// ─── STATE MACHINE ───────────────────────────────────────────────────────────
+// step(g, action) -> { g, events }: the game after the action and what it set
+// off. The input game is never touched; a rejected action hands it back with a
+// single REJECTED event. Actions:
+//   { type: 'BET', seat, pos }  seat bets on table card pos
+//   { type: 'AUTO', seat }      the bot strategy bets for seat (bots, stand-ins, the clock)
+//   { type: 'NEXT' }            the reveal is over: deal the next round or end the game
+//   { type: 'TAKEOVER', seat }  a bot plays seat for the rest of the game
+//   { type: 'END' }             the game stops early (not enough players left)
+// Events: BET { seat }, REVEAL { result }, DEAL, TAKEOVER { seat }, GAME_OVER,
+// REJECTED { reason }.
+function step(g, action) {
+  const reason = rejectReason(g, action);
+  if (reason) return { g, events: [{ type: 'REJECTED', reason }] };
+  const { type, seat, pos } = action;
+  const s = JSON.parse(JSON.stringify(g)), events = [];
+  s.actions.push(type === 'BET' ? { type, seat, pos } : seat !== undefined ? { type, seat } : { type });
+  if (type === 'BET' || type === 'AUTO') {
+    s.bets[seat] = type === 'AUTO' ? botChoose(s, seat) : pos;
+    events.push({ type: 'BET', seat });
+    if (s.bets.every(b => b !== null)) events.push({ type: 'REVEAL', result: resolveBets(s) });
+  } else if (type === 'TAKEOVER') {
+    s.players[seat].bot = 'normal'; s.players[seat].standIn = true;
+    events.push({ type: 'TAKEOVER', seat });
+  } else if (type === 'NEXT' && dealNextRound(s)) {
+    events.push({ type: 'DEAL' });
+  } else {
+    if (type === 'END') s.endedEarly = true;
+    finishGame(s); events.push({ type: 'GAME_OVER' });
+  }
+  return { g: s, events };
+}
+
+function rejectReason(g, a) {
+  const seatOk = Number.isInteger(a.seat) && a.seat >= 0 && a.seat < g.n;
+  switch (a.type) {
+    case 'BET': case 'AUTO':
+      if (g.phase !== 'BETTING') return 'not betting';
+      if (!seatOk || g.bets[a.seat] !== null) return 'seat has no bet to place';
+      if (a.type === 'BET' && !(Number.isInteger(a.pos) && a.pos >= 0 && a.pos < g.n)) return 'no such card';
+      return null;
+    case 'NEXT':     return g.phase === 'REVEAL' ? null : 'not revealing';
+    case 'TAKEOVER': return g.phase === 'GAME_OVER' ? 'game over' : seatOk ? null : 'no such seat';
+    case 'END':      return g.phase === 'GAME_OVER' ? 'game over' : null;
+    default:         return 'unknown action';
+  }
+}
+
+// ─── ROUND ────────────────────────────────────────────────────────────────────
+// Settles a round once every bet is in: who takes which card, where the bird
+// token goes. Leaves the game in REVEAL and returns the round result.
+function resolveBets(g) {
+  const bettors = g.table.map(() => []);
+  g.bets.forEach((bet, seat) => { if (bet !== null) bettors[bet].push(seat); });
+  // Standings before this round, for the 'underdog' collision rule
+  const pts = g.rules.collision === 'underdog' ? computeScores(g).map(s => s.pts) : null;
+
+  const result = { bets: [...g.bets], winners: {},
+    cards: g.table.map(c => ({ ...c, lilies: [...c.lilies] })), birdUpdate: null };
+
+  // First pass: resolve card wins and accumulate bird cards
+  g.table.forEach((card, pos) => {
+    const seat = takerOf(bettors[pos], pts);
+    if (seat !== -1) {
+      g.players[seat].scored.push({ ...card, lilies: [...card.lilies] });
+      result.winners[pos] = seat;
+      if (card.bird) {
+        g.players[seat].birdCards++;
+      }
+    }
+  });
+
+  // Second pass: resolve bird token with tie-breaking
+  // Rule: in case of a tie (multiple players with equal claim), token doesn't move
+  const prev = g.birdHolder;
+  if (prev === null) {
+    // First acquisition: find all players who gained a bird card this round
+    const birdWinners = Object.entries(result.winners)
+      .filter(([pos]) => g.table[pos].bird)
+      .map(([, seat]) => seat);
+    if (birdWinners.length === 1) {
+      g.birdHolder = birdWinners[0];
+      result.birdUpdate = { type: 'first', seat: birdWinners[0], name: g.players[birdWinners[0]].name };
+    } else if (birdWinners.length > 1) {
+      // Tie on first acquisition — token stays on table (null)
+      result.birdUpdate = { type: 'tie_first', seats: birdWinners, names: birdWinners.map(s => g.players[s].name) };
+    }
+  } else {
+    // Steal check: find all non-holders who now exceed the holder's count
+    const holderCount = g.players[prev].birdCards;
+    const stealCandidates = g.players.reduce((acc, p, i) => {
+      if (i !== prev && p.birdCards > holderCount) acc.push(i);
+      return acc;
+    }, []);
+    if (stealCandidates.length === 1) {
+      const thief = stealCandidates[0];
+      g.birdHolder = thief;
+      result.birdUpdate = { type: 'steal', seat: thief, from: prev,
+        name: g.players[thief].name, fromName: g.players[prev].name };
+    } else if (stealCandidates.length > 1) {
+      // Tie on steal — token stays with current holder
+      result.birdUpdate = { type: 'tie_steal', seats: stealCandidates, names: stealCandidates.map(s => g.players[s].name) };
+    }
+  }
+
+  g.log.push({ round: g.log.length + 1, deckPass: g.deckPass, table: result.cards,
+    bets: result.bets, winners: result.winners, birdUpdate: result.birdUpdate });
+  g.discard.push(...g.table.map(c => ({ ...c, lilies: [...c.lilies] })));
+  g.lastResult = result; g.phase = 'REVEAL'; g.turnGen++;
+  return result;
+}
+
+// A lone bettor takes the card. Under 'underdog' a collision goes to the
+// bettor with the fewest points, unless that is tied too; otherwise nobody.
+function takerOf(seats, pts) {
+  if (seats.length === 1) return seats[0];
+  if (!pts || !seats.length) return -1;
+  const low  = Math.min(...seats.map(s => pts[s]));
+  const lows = seats.filter(s => pts[s] === low);
+  return lows.length === 1 ? lows[0] : -1;
+}
+
+// Deals the next round, shuffling the discard back in for another pass when
+// the deck runs short. Returns false instead once the game is over.
+function dealNextRound(g) {
+  if (g.rules.targetScore && computeScores(g).some(s => s.pts >= g.rules.targetScore)) {
+    g.targetReached = true; return false;
+  }
+  if (g.deck.length < g.n && g.deckPass < g.rules.passes - 1) {
+    g.deck.push(...shuffle(g.discard, g)); g.discard = []; g.deckPass++;
+  }
+  if (g.deck.length < g.n) return false;
+  g.table = g.deck.splice(0, g.n); g.bets = new Array(g.n).fill(null);
+  g.lastResult = null; g.phase = 'BETTING'; g.turnGen++;
+  return true;
+}
+
+// ─── GAME OVER ───────────────────────────────────────────────────────────────
+// Level on points? The bird token decides, then most capybaras, then most
+// cards won. Whoever is still level after that shares the victory.
+const TIE_BREAKS = [
+  ['bird',  s => s.hasBird ? 1 : 0],
+  ['caps',  s => s.caps],
+  ['cards', s => s.scored.length],
+];
+
+// > 0 when a finishes ahead of b
+function compareScores(a, b) {
+  if (a.pts !== b.pts) return a.pts - b.pts;
+  for (const [, val] of TIE_BREAKS) if (val(a) !== val(b)) return val(a) - val(b);
+  return 0;
+}
+
+// Marks the winners in finalScores; tieBreak names the criterion that settled
+// a points tie at the top ('bird' | 'caps' | 'cards'), or 'shared' if none did.
+// That is the one that split the winner from the runner-up among the tied, not
+// the first one on which any of them differ.
+function decideWinners(g) {
+  const fs = g.finalScores;
+  const best = fs.reduce((b, s) => compareScores(s, b) > 0 ? s : b);
+  const others = fs.filter(s => s !== best && s.pts === best.pts);
+  g.winners = fs.map((s, i) => compareScores(s, best) === 0 ? i : -1).filter(i => i >= 0);
+  g.winnerIdx = g.winners[0];
+  let tieBreak = null;
+  if (g.winners.length > 1) tieBreak = 'shared';
+  else if (others.length) {
+    const next = others.reduce((b, s) => compareScores(s, b) > 0 ? s : b);
+    tieBreak = TIE_BREAKS.find(([, val]) => val(best) !== val(next))[0];
+  }
+  fs.forEach((s, i) => { s.winner = g.winners.includes(i); s.tieBreak = tieBreak; });
+}
+
+function finishGame(g) {
+  g.phase = 'GAME_OVER'; g.finalScores = computeScores(g);
+  decideWinners(g); g.report = gameReport(g);
+}
+
+// ─── GAME REPORT ─────────────────────────────────────────────────────────────
+// End-of-game statistics, replayed from g.log:
+//   timeline    running score of every seat after each round (bonuses included)
+//   collisions  n×n count of rounds in which two seats bet on the same card
+//   cards       per seat: cards won, capybaras on them, bird cards
+//   birdChanges every time the bird token was taken or stolen
+//   lilies      per seat, the round each lily colour was first collected
+//   luckiest    the most valuable card anyone took; unluckiest, the most
+//               valuable one lost to a collision
+function gameReport(g) {
+  const n = g.n, r = g.rules;
+  const caps = new Array(n).fill(0), colours = g.players.map(() => new Set());
+  const report = {
+    timeline: [], collisions: g.players.map(() => new Array(n).fill(0)),
+    cards: g.players.map(() => ({ won: 0, caps: 0, birds: 0 })),
+    birdChanges: [], lilies: g.players.map(() => []), luckiest: null, unluckiest: null,
+  };
+  const worth = c => c.cap * 10 + (c.bird ? 5 : 0) + c.lilies.length;
+  let holder = null;
+  for (const rd of g.log) {
+    rd.bets.forEach((b, i) => rd.bets.forEach((b2, j) => { if (i < j && b !== null && b === b2) { report.collisions[i][j]++; report.collisions[j][i]++; } }));
+    rd.table.forEach((card, pos) => {
+      const seat = rd.winners[pos];
+      if (seat === undefined) {
+        const seats = rd.bets.map((b, i) => b === pos ? i : -1).filter(i => i >= 0);
+        if (seats.length > 1 && (!report.unluckiest || worth(card) > worth(report.unluckiest.card)))
+          report.unluckiest = { round: rd.round, seats, card };
+        return;
+      }
+      const c = report.cards[seat];
+      c.won++; c.caps += card.cap; if (card.bird) c.birds++;
+      caps[seat] += card.cap;
+      card.lilies.forEach(l => {
+        if (colours[seat].has(l)) return;
+        colours[seat].add(l); report.lilies[seat].push({ round: rd.round, lily: l });
+      });
+      if (!report.luckiest || worth(card) > worth(report.luckiest.card)) report.luckiest = { round: rd.round, seat, card };
+    });
+    const bu = rd.birdUpdate;
+    if (bu && (bu.type === 'first' || bu.type === 'steal')) {
+      report.birdChanges.push({ round: rd.round, type: bu.type, seat: bu.seat, from: bu.type === 'steal' ? bu.from : null });
+      holder = bu.seat;
+    }
+    report.timeline.push(caps.map((c, i) => c + (i === holder ? r.birdBonus : 0) + (colours[i].size === 4 ? r.lilyBonus : 0)));
+  }
+  return report;
+}
+
+// ─── BOT AI ──────────────────────────────────────────────────────────────────
+function botChoose(g, seat) {
+  const level = g.players[seat].bot || 'normal';
+  if (level === 'easy') return botChooseEasy(g);
+  if (level === 'hard') return botChooseHard(g, seat);
+  const player = g.players[seat];
+  const myLilies = new Set(); player.scored.forEach(c => c.lilies.forEach(l => myLilies.add(l)));
+  // Bots see each other's bets and steer clear of them
+  const botBets = g.bets.filter((b, i) => b !== null && i !== seat && g.players[i].bot);
+  const scored = g.table.map((card, pos) => {
+    let s = card.cap * 10 + card.lilies.filter(l => !myLilies.has(l)).length * 8;
+    if (card.bird) s += g.birdHolder === null ? 20 : (g.birdHolder !== seat && player.birdCards >= g.players[g.birdHolder].birdCards ? 15 : 4);
+    if (botBets.includes(pos)) s -= 30;
+    s += (random(g) - 0.5) * 12;
+    return { pos, s };
+  }).sort((a, b) => b.s - a.s);
+  return random(g) < 0.75 ? scored[0].pos : scored[Math.min(1, scored.length-1)].pos;
+}
+
+// Easy: goes for the biggest card half the time, otherwise picks at random
+function botChooseEasy(g) {
+  if (random(g) < 0.5) return Math.floor(random(g) * g.n);
+  const best = Math.max(...g.table.map(c => c.cap));
+  const top  = g.table.map((c, pos) => c.cap === best ? pos : -1).filter(pos => pos >= 0);
+  return top[Math.floor(random(g) * top.length)];
+}
+
+// Hard: values every card for every player, models each opponent's pick as a
+// softmax over their values, and takes the card with the best expected score
+// margin over the table (own gain minus what the others are likely to collect
+// on the remaining cards). Like the normal bot it sees bets already placed by
+// other bots, never those of humans.
+const HARD_TEMP = 2;
+
+function botChooseHard(g, seat) {
+  const left = unseenCards(g);
+  const vals = g.players.map((_, i) => g.table.map(card => cardValue(g, i, card, left)));
+  const picks = g.players.map((p, i) => {
+    if (i === seat) return null;
+    if (p.bot && g.bets[i] !== null) return g.table.map((_, pos) => pos === g.bets[i] ? 1 : 0);
+    const mx = Math.max(...vals[i]);
+    const e  = vals[i].map(x => Math.exp((x - mx) / HARD_TEMP));
+    const sum = e.reduce((a, b) => a + b, 0);
+    return e.map(x => x / sum);
+  });
+  // Chance that nobody but `who` (and not me, when I'm on `pos`) lands on pos
+  const alone = (pos, who) => picks.reduce((acc, pr, i) => pr && i !== who ? acc * (1 - pr[pos]) : acc, 1);
+  const best = g.table.map((_, pos) => {
+    let s = vals[seat][pos] * alone(pos, seat), theirs = 0;
+    picks.forEach((pr, i) => {
+      if (!pr) return;
+      g.table.forEach((_, d) => { if (d !== pos) theirs += pr[d] * vals[i][d] * alone(d, i); });
+    });
+    s -= theirs / (g.n - 1);
+    return { pos, s: s + (random(g) - 0.5) * 0.3 };
+  }).sort((a, b) => b.s - a.s);
+  return best[0].pos;
+}
+
+// Cards not yet seen in the current pass: the game's deck minus discard and table.
+// After the reshuffle the discard restarts, so this holds for both passes.
+function unseenCards(g) {
+  const seen = {};
+  [...g.discard, ...g.table].forEach(c => { const k = cardKey(c); seen[k] = (seen[k] || 0) + 1; });
+  return g.cards.filter(c => {
+    const k = cardKey(c);
+    if (!seen[k]) return true;
+    seen[k]--; return false;
+  });
+}
+
+// How much a card is worth to seat i: capybaras, plus the gain in the odds of
+// closing the four lilies, plus its weight in the fight for the bird token.
+function cardValue(g, i, card, left) {
+  const p = g.players[i];
+  // Cards of a kind still to be dealt, counting any passes still ahead
+  const passesLeft = g.rules.passes - 1 - g.deckPass;
+  const supply = pred => left.filter(pred).length + passesLeft * g.cards.filter(pred).length;
+  const { birdBonus, lilyBonus } = g.rules;
+  const pGet = l => 1 - Math.pow(1 - 1 / g.n, supply(c => c.lilies.includes(l)));
+  const reach = owned => ['Y','R','W','B'].filter(l => !owned.has(l)).reduce((acc, l) => acc * pGet(l), 1);
+
+  let v = card.cap;
+  const have = new Set(); p.scored.forEach(c => c.lilies.forEach(l => have.add(l)));
+  if (have.size < 4 && card.lilies.some(l => !have.has(l))) {
+    v += lilyBonus * (reach(new Set([...have, ...card.lilies])) - reach(have));
+  }
+  if (card.bird) {
+    const birdsLeft = Math.min(1, supply(c => c.bird) / g.n);
+    if (g.birdHolder === null) v += birdBonus * 0.8;
+    else if (g.birdHolder === i) {
+      const rival = Math.max(...g.players.map((o, j) => j === i ? 0 : o.birdCards));
+      const gap = p.birdCards - rival;
+      v += birdBonus * (gap <= 0 ? 1 : gap === 1 ? 0.5 : 0.2) * birdsLeft;
+    } else {
+      const need = g.players[g.birdHolder].birdCards - p.birdCards;
+      v += birdBonus * (need < 1 ? 1.2 : need === 1 ? 0.4 * birdsLeft : 0.15 * birdsLeft);
+    }
+  }
+  return v;
+}
+
+return { DEFAULT_RULES, buildDeck, newGame, step, replay, computeScores, compareScores, gameView };
+});
@@ -2,7 +2,11 @@
 const http = require('http');
 const fs   = require('fs');
 const path = require('path');
+const crypto = require('crypto');
 const { WebSocketServer } = require('ws');
+const { createFileStore } = require('./store');
+const { loadDecks } = require('./decks');
+const { DEFAULT_RULES, buildDeck, newGame, step, compareScores, gameView } = require('./engine');
 
 // ─── CONSTANTS ───────────────────────────────────────────────────────────────
 const zlib = require('zlib');
@@ -80,12 +84,34 @@ function getSplash(w, h) {
   return splashCache[key];
 }
 
+// Timings can be shortened from the environment (the test suite does)
 const PORT        = process.env.PORT || 3000;
-const GRACE_MS    = 45_000;
-const REVEAL_MS   = 5_000;
-const BOT_MIN_MS  = 900;
-const BOT_MAX_MS  = 2_600;
-const AUTODEAL_MS = 10_000;
+const GRACE_MS    = +process.env.GRACE_MS    || 45_000;
+const BOT_MIN_MS  = +process.env.BOT_MIN_MS  || 900;
+const BOT_MAX_MS  = +process.env.BOT_MAX_MS  || 2_600;
+const AUTODEAL_MS = +process.env.AUTODEAL_MS || 10_000;
+const FORCE_START_MS = +process.env.FORCE_START_MS || 10_000;
+const DATA_DIR    = process.env.DATA_DIR || path.join(__dirname, 'data');
+const MAX_USER_LOBBIES = 40;
+const CODE_CHARS  = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'; // no 0/O, 1/I lookalikes
+const BOT_LEVELS  = ['easy', 'normal', 'hard'];
+
+// Limits for the house rules in SET_RULES; the defaults live in the engine
+const RULE_RANGES     = { birdBonus: [0, 20], lilyBonus: [0, 30], passes: [1, 3], targetScore: [0, 150], revealSecs: [2, 15], betSecs: [0, 120], series: [1, 7] };
+const MIN_BET_SECS    = 10;
+
+const CHAT_MAX_LEN  = 200;
+const CHAT_HISTORY  = 50;
+const CHAT_RATE     = 5;       // messages (chat or emote) per socket...
+const CHAT_WINDOW   = 10_000;  // ...within this window
+const EMOTES        = ['orange', 'mate', 'flee', 'bird', 'lily', 'zzz', 'cool', 'oops'];
+const COLLISION_RULES = ['nobody', 'underdog'];
+
+// Decks and expansions a table can play with, checked against the card art at
+// boot. Bad deck files are left out with a warning; the default deck must load.
+const { decks: DECKS, warnings: DECK_WARNINGS } = loadDecks(path.join(__dirname, 'decks'), path.join(__dirname, 'public', 'cards'));
+DECK_WARNINGS.forEach(w => console.warn(w));
+if (!isDeck(DEFAULT_RULES.deck, 'base')) throw new Error('The default deck (decks/' + DEFAULT_RULES.deck + '.json) did not load');
 
 // ─── STATIC FILE SERVER ──────────────────────────────────────────────────────
 const MIME = {
@@ -109,60 +135,6 @@ function serveStatic(req, res) {
   });
 }
 
-// ─── DECK ────────────────────────────────────────────────────────────────────
-// img: PNG filename without extension, served from /public/cards/
-// imgFallback: shown if img.png is missing (use plain card of same cap count)
-// Available PNGs (confirmed by artist):
-//   cap1, cap1_BW, cap1_R, cap1_W_bird
-//   cap2, cap2_B, cap2_bird, cap2_R_bird, cap2_W, cap2_Y, cap2_Y_bird
-//   cap3, cap3_B, cap3_bird, cap3_Y
-//   cap4, cap4_bird
-//   cap5
-// Missing: cap5_bird → falls back to cap5 image
-function mkCard(cap, lilies, bird, imgOverride) {
-  const l = [...lilies].sort().join('');
-  const img = imgOverride || ('cap' + cap + (l ? '_' + l : '') + (bird ? '_bird' : ''));
-  const fallback = 'cap' + cap; // plain version always exists
-  return { cap, lilies, bird, img, fallback };
-}
-
-const BASE_DECK = [
-  // 1 cap (6)
-  mkCard(1,[],false),  mkCard(1,[],false),
-  mkCard(1,['R'],false), mkCard(1,['R'],false),
-  mkCard(1,['B','W'],false),                      // img: cap1_BW
-  mkCard(1,['W'],true),                            // img: cap1_W_bird
-  // 2 cap (13)
-  mkCard(2,[],false), mkCard(2,[],false), mkCard(2,[],false),
-  mkCard(2,[],false), mkCard(2,[],false), mkCard(2,[],false),
-  mkCard(2,['Y'],false), mkCard(2,['Y'],false),
-  mkCard(2,['B'],false),                           // img: cap2_B  (artist changed W→B)
-  mkCard(2,['Y'],true),                            // img: cap2_Y_bird
-  mkCard(2,['R'],true),                            // img: cap2_R_bird
-  mkCard(2,[],true), mkCard(2,[],true),            // img: cap2_bird
-  // 3 cap (11)
-  mkCard(3,[],false), mkCard(3,[],false), mkCard(3,[],false),
-  mkCard(3,[],false), mkCard(3,[],false), mkCard(3,[],false),
-  mkCard(3,['Y'],false),                           // img: cap3_Y
-  mkCard(3,['B'],false), mkCard(3,['B'],false),    // img: cap3_B
-  mkCard(3,[],true), mkCard(3,[],true),            // img: cap3_bird
-  // 4 cap (4)
-  mkCard(4,[],false), mkCard(4,[],false),
-  mkCard(4,[],true), mkCard(4,[],true),            // img: cap4_bird
-  // 5 cap (2)
-  mkCard(5,[],false),
-  mkCard(5,[],true),                               // img: cap5_bird
-]; // 36 total
-
-function shuffle(a) {
-  const b = [...a];
-  for (let i = b.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1));
-    [b[i], b[j]] = [b[j], b[i]];
-  }
-  return b;
-}
-
 // ─── SERVER STATE ────────────────────────────────────────────────────────────
 const lobbies = {};
 const wsState = new WeakMap();
@@ -173,327 +145,608 @@ function makeLobby(id, name, solo, maxHuman) {
   return { id, name, solo, maxHuman,
     players: new Array(n).fill(null), names: new Array(n).fill(''),
     tokens:  new Array(n).fill(null), graceTimers: new Array(n).fill(null),
-    autoTimers: new Array(n).fill(null), seatMap: null, game: null };
+    accounts: new Array(n).fill(null), ready: new Array(n).fill(false), forceTimer: null, forceAt: null,
+    autoTimers: new Array(n).fill(null), betClock: null, seatMap: null, game: null,
+    userMade: false, code: null, spectators: new Set(), bots: [], takeover: false, host: null, locked: false, series: null,
+    rules: { ...DEFAULT_RULES }, chat: [] };
 }
 
 function initLobbies() {
   for (let i = 1; i <= 5; i++) lobbies['mp'+i] = makeLobby('mp'+i, 'Mesa '+i, false, 6);
-  lobbies['solo'] = makeLobby('solo', 'Mesa Solo (vs 2 IAs)', true, 1);
 }
 initLobbies();
 
+// Solo tables are private and ephemeral: every JOIN_LOBBY on 'solo' spawns a
+// fresh one, removed again when its player leaves or the grace period runs out.
+const SOLO_ENTRY = { id: 'solo', name: 'Jogar sozinho', solo: true, seated: 0,
+  maxHuman: 1, playing: false, full: false, names: [] };
+
+function makeSoloLobby(botLevel, botCount) {
+  let id;
+  do id = 'solo-' + Math.random().toString(36).slice(2, 10); while (lobbies[id]);
+  const bots  = Math.min(5, Math.max(1, parseInt(botCount) || 2));
+  const lobby = lobbies[id] = makeLobby(id, 'Mesa Solo (vs ' + bots + (bots === 1 ? ' IA)' : ' IAs)'), true, 1);
+  lobby.botLevel = BOT_LEVELS.includes(botLevel) ? botLevel : 'normal';
+  lobby.botCount = bots;
+  return lobby;
+}
+
+function newSoloGame(lobby) {
+  const bots = Array.from({ length: lobby.botCount }, (_, i) => 'Bot Capivaras ' + (i + 1));
+  const g = newGame([lobby.names[0] || 'Jogador', ...bots], true, [null, ...bots.map(() => lobby.botLevel)], lobby.rules, buildDeck(DECKS, lobby.rules));
+  g.players[0].account = lobby.accounts[0];
+  return g;
+}
+
+// User tables: named, 2–6 seats, optionally private behind a short join code
+function makeUserLobby(name, maxHuman, isPrivate) {
+  let id;
+  do id = 'u-' + Math.random().toString(36).slice(2, 10); while (lobbies[id]);
+  const lobby = lobbies[id] = makeLobby(id, name, false, maxHuman);
+  lobby.userMade = true;
+  if (isPrivate) {
+    let code;
+    do code = Array.from({ length: 5 }, () => CODE_CHARS[Math.floor(Math.random() * CODE_CHARS.length)]).join('');
+    while (findByCode(code));
+    lobby.code = code;
+  }
+  return lobby;
+}
+
+function findByCode(code) {
+  const c = String(code || '').trim().toUpperCase();
+  return c ? Object.values(lobbies).find(l => l.code === c) : undefined;
+}
+
+// Solo and user tables only live while someone still holds a seat in them; the
+// fixed ones stay, but the next group to sit down starts on an empty chat
+function gcLobby(lobby) {
+  if (!lobby.tokens.some(Boolean) && !lobby.spectators.size) lobby.chat = [];
+  if (!lobby.solo && !lobby.userMade) return;
+  if (lobby.tokens.some(Boolean)) return;
+  lobby.game = null; lobby.seatMap = null; delete lobbies[lobby.id];
+  // Spectators fall back to the lobby list (broadcastLobbyList reaches them once detached)
+  lobby.spectators.forEach(w => wsState.delete(w)); lobby.spectators.clear();
+}
+
 // ─── GAME LOGIC ───────────────────────────────────────────────────────────────
-function newGame(names, isSolo) {
-  const n = names.length;
-  const deck = shuffle(BASE_DECK);
-  return {
-    players: names.map(name => ({ name, scored: [], birdCards: 0 })),
-    n, deck, discard: [], table: deck.splice(0, n),
-    bets: new Array(n).fill(null), birdHolder: null,
-    phase: 'BETTING', deckPass: 0, lastResult: null,
-    isSolo, turnGen: 0, winnerIdx: null, finalScores: null,
-  };
+// Validates a SET_RULES payload on top of the defaults: { rules } or { error }
+function parseRules(input) {
+  const rules = { ...DEFAULT_RULES };
+  for (const [k, [lo, hi]] of Object.entries(RULE_RANGES)) {
+    if (input[k] === undefined) continue;
+    const v = Number(input[k]);
+    if (!Number.isInteger(v) || v < lo || v > hi) return { error: 'Regra inválida: ' + k + ' tem de estar entre ' + lo + ' e ' + hi + '.' };
+    rules[k] = v;
+  }
+  if (rules.betSecs && rules.betSecs < MIN_BET_SECS) return { error: 'O tempo para apostar tem de ser de pelo menos ' + MIN_BET_SECS + ' segundos.' };
+  if (input.collision !== undefined) {
+    if (!COLLISION_RULES.includes(input.collision)) return { error: 'Regra de empate desconhecida.' };
+    rules.collision = input.collision;
+  }
+  if (input.deck !== undefined) {
+    if (!isDeck(input.deck, 'base')) return { error: 'Baralho desconhecido.' };
+    rules.deck = input.deck;
+  }
+  if (input.expansions !== undefined) {
+    if (!Array.isArray(input.expansions) || !input.expansions.every(id => isDeck(id, 'expansion'))) return { error: 'Expansão desconhecida.' };
+    rules.expansions = [...new Set(input.expansions)];
+  }
+  return { rules };
 }
 
-function computeScores(g) {
-  return g.players.map((p, i) => {
-    let pts = 0;
-    const lilies = new Set();
-    for (const c of p.scored) { pts += c.cap; c.lilies.forEach(l => lilies.add(l)); }
-    if (i === g.birdHolder) pts += 5;
-    const allLilies = ['Y','R','W','B'].every(c => lilies.has(c));
-    if (allLilies) pts += 10;
-    return { name: p.name, pts, scored: p.scored, lilies: [...lilies],
-             birdCards: p.birdCards, hasBird: i === g.birdHolder, allLilies };
-  });
+function isDeck(id, kind) { return Object.hasOwn(DECKS, id) && DECKS[id].kind === kind; }
+
+// Deck files may change between restarts: a saved table whose deck is gone
+// goes back to the default one, and missing expansions drop out of its mix
+function knownDecks(rules) {
+  return { deck: isDeck(rules.deck, 'base') ? rules.deck : DEFAULT_RULES.deck,
+    expansions: rules.expansions.filter(id => isDeck(id, 'expansion')) };
 }
 
-function buildView(g, seat) {
-  const sc = computeScores(g);
-  return {
-    phase: g.phase, n: g.n, table: g.table,
-    myBet: g.bets[seat], betsPlaced: g.bets.map(b => b !== null),
-    lastResult: g.lastResult ? {
-      winners:    g.lastResult.winners,
-      birdUpdate: g.lastResult.birdUpdate,
-      cards:      g.lastResult.cards,
-    } : null,
-    players: sc.map((s, i) => ({ ...s, isMe: i === seat, seat: i })),
-    birdHolder: g.birdHolder,
-    birdHolderCards: g.birdHolder !== null ? g.players[g.birdHolder].birdCards : 0,
-    deckPass: g.deckPass, deckLeft: g.deck.length,
-    winnerIdx: g.winnerIdx, finalScores: g.finalScores,
-    mySeat: seat, isSolo: g.isSolo,
-    myBirdCards: g.players[seat].birdCards, turnGen: g.turnGen,
+// seat -1 builds the read-only spectator view
+function buildView(lobby, seat) {
+  const g = lobby.game, spectator = seat < 0;
+  return { ...gameView(g, seat), spectators: lobby.spectators.size,
+    amHost: !spectator && lobby.host !== null && (lobby.seatMap ? lobby.seatMap[seat] : seat) === lobby.host,
+    series: lobby.series,
+    rematchOpen: g.phase === 'GAME_OVER' && !lobby.solo && lineupIntact(lobby),
   };
 }
 
+// Every broadcast follows a state change, so the broadcasters also snapshot
 function sendTo(ws, msg) { if (ws && ws.readyState === 1) ws.send(JSON.stringify(msg)); }
 
 function broadcastGame(lobby) {
   const g = lobby.game; if (!g) return;
   if (lobby.solo) {
-    sendTo(lobby.players[0], { type: 'GAME_STATE', state: buildView(g, 0) });
+    sendTo(lobby.players[0], { type: 'GAME_STATE', state: buildView(lobby, 0) });
   } else if (lobby.seatMap) {
     lobby.seatMap.forEach((ls, gs) => {
-      if (lobby.players[ls]) sendTo(lobby.players[ls], { type: 'GAME_STATE', state: buildView(g, gs) });
+      if (lobby.players[ls]) sendTo(lobby.players[ls], { type: 'GAME_STATE', state: buildView(lobby, gs) });
     });
   }
+  if (lobby.spectators.size) {
+    const msg = { type: 'GAME_STATE', state: buildView(lobby, -1) };
+    lobby.spectators.forEach(w => sendTo(w, msg));
+  }
+  persist();
 }
 
 function lobbyInfo(l) {
   const seated = l.players.filter(Boolean).length;
   const playing = !!l.game && l.game.phase !== 'GAME_OVER';
-  return { id: l.id, name: l.name, solo: l.solo, seated,
-           maxHuman: l.maxHuman, playing, full: seated >= l.maxHuman,
-           names: l.names.filter(Boolean) };
+  return { id: l.id, name: l.name, solo: l.solo, seated, bots: l.bots, takeover: l.takeover,
+           maxHuman: l.maxHuman, playing, full: seated + l.bots.length >= l.maxHuman,
+           names: l.names.filter(Boolean), userMade: l.userMade, code: l.code,
+           spectators: l.spectators.size, rules: l.rules, host: l.host, locked: l.locked, ready: l.ready,
+           forceMsLeft: l.forceAt ? Math.max(0, l.forceAt - Date.now()) : null };
+}
+
+function lobbyList() {
+  return [...Object.values(lobbies).filter(l => !l.solo && !l.code).map(lobbyInfo), SOLO_ENTRY];
+}
+
+function broadcastLobbyState(lobby) {
+  lobby.players.forEach((p, i) => { if (p) sendTo(p, { type: 'LOBBY_STATE', lobby: lobbyInfo(lobby), names: lobby.names, myLobbySeat: i }); });
+  persist();
 }
 
 let wss;
 function broadcastLobbyList() {
-  const list = Object.values(lobbies).map(lobbyInfo);
+  const list = lobbyList();
   for (const ws of wss.clients) {
     if (ws.readyState !== 1) continue;
     const st = wsState.get(ws);
     if (!st || !st.lobbyId) sendTo(ws, { type: 'LOBBIES', lobbies: list });
   }
+  persist();
 }
 
 // ─── ROUND ────────────────────────────────────────────────────────────────────
-function checkAllBetsIn(lobby) {
-  const g = lobby.game;
-  if (!g || g.phase !== 'BETTING') return;
-  if (g.bets.every(b => b !== null)) resolveRound(lobby);
+// Every change to a game is an engine action. play() steps the table's game
+// and carries out what the events call for: timers, bookkeeping, broadcast.
+// Returns false when the engine rejected the action.
+function play(lobby, action) {
+  const { g, events } = step(lobby.game, action);
+  if (events[0].type === 'REJECTED') return false;
+  lobby.game = g;
+  const happened = type => events.some(e => e.type === type);
+  if (happened('REVEAL')) {
+    lobby.autoTimers.forEach((t, i) => { if (t) { clearTimeout(t); lobby.autoTimers[i] = null; } });
+    scheduleReveal(lobby);
+  }
+  if (happened('DEAL')) {
+    startBetClock(g);
+    scheduleBots(lobby); if (!g.isSolo) scheduleAutoBeats(lobby);
+    scheduleBetClock(lobby);
+  }
+  if (happened('GAME_OVER')) endGame(lobby);
+  else broadcastGame(lobby);
+  return true;
 }
 
-function resolveRound(lobby) {
-  const g = lobby.game;
-  const betCount  = new Array(g.n).fill(0);
-  const betBySeat = new Array(g.n).fill(-1);
-  g.bets.forEach((bet, seat) => { if (bet !== null) { betCount[bet]++; betBySeat[bet] = seat; } });
-
-  const result = { bets: [...g.bets], winners: {},
-    cards: g.table.map(c => ({ ...c, lilies: [...c.lilies] })), birdUpdate: null };
-
-  // First pass: resolve card wins and accumulate bird cards
-  g.table.forEach((card, pos) => {
-    if (betCount[pos] === 1) {
-      const seat = betBySeat[pos];
-      g.players[seat].scored.push({ ...card, lilies: [...card.lilies] });
-      result.winners[pos] = seat;
-      if (card.bird) {
-        g.players[seat].birdCards++;
-      }
-    }
-  });
-
-  // Second pass: resolve bird token with tie-breaking
-  // Rule: in case of a tie (multiple players with equal claim), token doesn't move
-  const prev = g.birdHolder;
-  if (prev === null) {
-    // First acquisition: find all players who gained a bird card this round
-    const birdWinners = Object.entries(result.winners)
-      .filter(([pos]) => g.table[pos].bird)
-      .map(([, seat]) => seat);
-    if (birdWinners.length === 1) {
-      g.birdHolder = birdWinners[0];
-      result.birdUpdate = { type: 'first', seat: birdWinners[0], name: g.players[birdWinners[0]].name };
-    } else if (birdWinners.length > 1) {
-      // Tie on first acquisition — token stays on table (null)
-      result.birdUpdate = { type: 'tie_first', seats: birdWinners, names: birdWinners.map(s => g.players[s].name) };
-    }
-  } else {
-    // Steal check: find all non-holders who now exceed the holder's count
-    const holderCount = g.players[prev].birdCards;
-    const stealCandidates = g.players.reduce((acc, p, i) => {
-      if (i !== prev && p.birdCards > holderCount) acc.push(i);
-      return acc;
-    }, []);
-    if (stealCandidates.length === 1) {
-      const thief = stealCandidates[0];
-      g.birdHolder = thief;
-      result.birdUpdate = { type: 'steal', seat: thief, from: prev,
-        name: g.players[thief].name, fromName: g.players[prev].name };
-    } else if (stealCandidates.length > 1) {
-      // Tie on steal — token stays with current holder
-      result.birdUpdate = { type: 'tie_steal', seats: stealCandidates, names: stealCandidates.map(s => g.players[s].name) };
-    }
-  }
+// Timers belong to one turn of one game: by the time they fire it may be over
+function sameTurn(lobby, g) {
+  return !!lobby.game && lobby.game.id === g.id && lobby.game.turnGen === g.turnGen;
+}
 
-  g.discard.push(...g.table.map(c => ({ ...c, lilies: [...c.lilies] })));
-  g.lastResult = result; g.phase = 'REVEAL'; g.turnGen++;
-  lobby.autoTimers.forEach((t, i) => { if (t) { clearTimeout(t); lobby.autoTimers[i] = null; } });
-  broadcastGame(lobby);
+function scheduleReveal(lobby) {
+  const g = lobby.game;
+  setTimeout(() => { if (sameTurn(lobby, g)) play(lobby, { type: 'NEXT' }); }, g.rules.revealSecs * 1000);
+}
 
-  const gen = g.turnGen;
-  setTimeout(() => {
-    if (!lobby.game || lobby.game.turnGen !== gen || lobby.game.phase !== 'REVEAL') return;
-    nextRound(lobby);
-  }, REVEAL_MS);
+// Betting clock (rules.betSecs): when it runs out, every seat still without a
+// bet gets one from the normal bot strategy, AFK players included
+function startBetClock(g) {
+  g.deadline = g.rules.betSecs ? Date.now() + g.rules.betSecs * 1000 : null;
 }
 
-function nextRound(lobby) {
+function scheduleBetClock(lobby) {
   const g = lobby.game;
-  if (g.deck.length < g.n) {
-    if (g.deckPass === 0) { g.deck.push(...shuffle(g.discard)); g.discard = []; g.deckPass = 1; }
-    else { endGame(lobby); return; }
-  }
-  if (g.deck.length < g.n) { endGame(lobby); return; }
-  g.table = g.deck.splice(0, g.n); g.bets = new Array(g.n).fill(null);
-  g.lastResult = null; g.phase = 'BETTING'; g.turnGen++;
-  broadcastGame(lobby);
-  if (g.isSolo) scheduleBots(lobby); else scheduleAutoBeats(lobby);
+  clearTimeout(lobby.betClock); lobby.betClock = null;
+  if (!g || g.phase !== 'BETTING' || !g.deadline) return;
+  lobby.betClock = setTimeout(() => {
+    lobby.betClock = null;
+    if (!sameTurn(lobby, g)) return;
+    // Every play replaces lobby.game: read the bets still missing from it each time
+    for (let i = 0; i < g.n; i++) {
+      const cur = lobby.game;
+      if (cur.phase === 'BETTING' && cur.bets[i] === null) play(lobby, { type: 'AUTO', seat: i });
+    }
+  }, Math.max(0, g.deadline - Date.now()));
 }
 
+// Bookkeeping once the engine has ended the game
 function endGame(lobby) {
   const g = lobby.game;
-  g.phase = 'GAME_OVER'; g.finalScores = computeScores(g);
-  const maxPts = Math.max(...g.finalScores.map(s => s.pts));
-  g.winnerIdx = g.finalScores.findIndex(s => s.pts === maxPts);
+  updateRatings(g); recordStats(g); archiveGame(g); recordSeries(lobby);
   broadcastGame(lobby); broadcastLobbyList();
 }
 
+// Finished games are kept in the store for /api/games/:id and the replay screen
+function archiveGame(g) {
+  const record = { id: g.id, startedAt: g.startedAt, endedAt: Date.now(), isSolo: g.isSolo, rules: g.rules,
+    cards: g.cards, seed: g.seed, actions: g.actions, players: g.players.map(p => ({ name: p.name, bot: p.bot })),
+    initialBots: g.initialBots, finalScores: g.finalScores.map(({ scored, ...s }) => s), winners: g.winners, report: g.report, rounds: g.log };
+  try { store.write('game-' + g.id, record); }
+  catch (e) { console.error('Could not archive game ' + g.id + ': ' + e.message); }
+}
+
 // ─── BOT AI ──────────────────────────────────────────────────────────────────
 function scheduleBots(lobby) {
   const g = lobby.game;
-  if (!g || !g.isSolo || g.phase !== 'BETTING') return;
-  const gen = g.turnGen;
-  [1, 2].forEach(bot => {
+  if (!g || g.phase !== 'BETTING') return;
+  const bots = g.players.map((p, i) => p.bot ? i : -1).filter(i => i >= 0);
+  bots.forEach((bot, k) => {
     if (g.bets[bot] !== null) return;
     const delay = BOT_MIN_MS + Math.random() * (BOT_MAX_MS - BOT_MIN_MS);
     setTimeout(() => {
-      if (!lobby.game || lobby.game.turnGen !== gen || lobby.game.phase !== 'BETTING') return;
-      if (g.bets[bot] !== null) return;
-      g.bets[bot] = botChoose(g, bot);
-      broadcastGame(lobby); checkAllBetsIn(lobby);
-    }, bot === 1 ? delay : delay + 300 + Math.random() * 400);
+      if (sameTurn(lobby, g)) play(lobby, { type: 'AUTO', seat: bot });
+    }, k === 0 ? delay : delay + 300 + Math.random() * 400);
   });
 }
 
-function botChoose(g, seat) {
-  const player = g.players[seat];
-  const myLilies = new Set(); player.scored.forEach(c => c.lilies.forEach(l => myLilies.add(l)));
-  const otherBot = seat === 1 ? g.bets[2] : g.bets[1];
-  const scored = g.table.map((card, pos) => {
-    let s = card.cap * 10 + card.lilies.filter(l => !myLilies.has(l)).length * 8;
-    if (card.bird) s += g.birdHolder === null ? 20 : (g.birdHolder !== seat && player.birdCards >= g.players[g.birdHolder].birdCards ? 15 : 4);
-    if (otherBot === pos) s -= 30;
-    s += (Math.random() - 0.5) * 12;
-    return { pos, s };
-  }).sort((a, b) => b.s - a.s);
-  return Math.random() < 0.75 ? scored[0].pos : scored[Math.min(1, scored.length-1)].pos;
-}
-
 function scheduleAutoBeats(lobby) {
   const g = lobby.game;
   if (!g || g.isSolo || !lobby.seatMap) return;
-  const gen = g.turnGen;
   lobby.seatMap.forEach((ls, gs) => {
-    if (lobby.players[ls] || g.bets[gs] !== null) return;
-    const t = setTimeout(() => {
-      if (!lobby.game || lobby.game.turnGen !== gen || lobby.game.phase !== 'BETTING') return;
-      if (g.bets[gs] !== null) return;
-      g.bets[gs] = Math.floor(Math.random() * g.n);
-      broadcastGame(lobby); checkAllBetsIn(lobby);
-    }, AUTODEAL_MS);
-    lobby.autoTimers[ls] = t;
+    if (ls >= 0 && !lobby.players[ls] && g.bets[gs] === null) armAutoBet(lobby, ls, gs);
   });
 }
 
+function armAutoBet(lobby, ls, gs) {
+  const g = lobby.game;
+  clearTimeout(lobby.autoTimers[ls]);
+  lobby.autoTimers[ls] = setTimeout(() => {
+    if (sameTurn(lobby, g)) play(lobby, { type: 'AUTO', seat: gs });
+  }, AUTODEAL_MS);
+}
+
 // ─── HELPERS ─────────────────────────────────────────────────────────────────
 function findGameSeat(lobby, ls) { return !lobby.seatMap ? ls : lobby.seatMap.indexOf(ls); }
 
+// Seated humans first, then the host's bots; bot game seats map to lobby seat -1
+function startTableGame(lobby, ws) {
+  const active = lobby.players.map((p, i) => p ? i : -1).filter(i => i >= 0);
+  if (active.length + lobby.bots.length < 2) { sendTo(ws, { type: 'ERROR', text: 'Precisas de pelo menos 2 jogadores.' }); return false; }
+  const botNames = lobby.bots.map((_, i) => 'Bot Capivaras ' + (i + 1));
+  lobby.seatMap = [...active, ...lobby.bots.map(() => -1)];
+  lobby.game    = newGame([...active.map(i => lobby.names[i]), ...botNames], false,
+                          [...active.map(() => null), ...lobby.bots], lobby.rules, buildDeck(DECKS, lobby.rules));
+  lobby.series  = newSeries(lobby);
+  lobby.ready.fill(false); // everyone says so again in the next wait
+  active.forEach((li, gi) => { lobby.game.players[gi].account = lobby.accounts[li]; });
+  active.forEach((li, gi) => { const w = lobby.players[li]; if (w) { const s = wsState.get(w); if (s) s.gameSeat = gi; } });
+  startBetClock(lobby.game);
+  broadcastGame(lobby); scheduleBots(lobby); scheduleAutoBeats(lobby); scheduleBetClock(lobby);
+  return true;
+}
+
+// ─── READY CHECK ─────────────────────────────────────────────────────────────
+// Everyone seated but the host must be ready before START; the host may instead
+// force a start that fires after FORCE_START_MS, or earlier once all are ready.
+function allReady(lobby) {
+  return lobby.tokens.every((t, i) => !t || i === lobby.host || lobby.ready[i]);
+}
+
+function armForceStart(lobby) {
+  lobby.forceAt = Date.now() + FORCE_START_MS;
+  lobby.forceTimer = setTimeout(() => launchTable(lobby), FORCE_START_MS);
+}
+
+function cancelForceStart(lobby) {
+  clearTimeout(lobby.forceTimer); lobby.forceTimer = null; lobby.forceAt = null;
+}
+
+function launchTable(lobby) {
+  cancelForceStart(lobby);
+  if (lobby.game && lobby.game.phase !== 'GAME_OVER') return;
+  if (startTableGame(lobby, lobby.players[lobby.host])) broadcastLobbyList();
+  else broadcastLobbyState(lobby);
+}
+
+// ─── SERIES & REMATCH ────────────────────────────────────────────────────────
+// After GAME_OVER the players can vote for a rematch: once every human seat of
+// the game has voted, the same seats (bots included) start the next game. With
+// rules.series > 1 those games form a best-of-N series, tallied by game seat.
+function newSeries(lobby) {
+  const n = lobby.seatMap.length, best = lobby.rules.series;
+  return best > 1 ? { best, games: 0, wins: new Array(n).fill(0), points: new Array(n).fill(0), over: false } : null;
+}
+
+function recordSeries(lobby) {
+  const sr = lobby.series, g = lobby.game;
+  if (!sr || g.endedEarly) return;
+  sr.games++;
+  g.finalScores.forEach((f, i) => { sr.points[i] += f.pts; if (f.winner) sr.wins[i]++; });
+  sr.over = sr.games >= sr.best || Math.max(...sr.wins) > sr.best / 2;
+}
+
+// Rematches need the whole lineup: a human who left without a takeover bot breaks it
+function lineupIntact(lobby) {
+  return !!lobby.seatMap && lobby.seatMap.every(ls => ls < 0 || lobby.tokens[ls]);
+}
+
+function voteRematch(lobby, gs, on) {
+  const g = lobby.game;
+  g.rematch[gs] = on;
+  if (lobby.seatMap.every((ls, i) => ls < 0 || g.rematch[i])) startRematch(lobby);
+  else broadcastGame(lobby);
+}
+
+function startRematch(lobby) {
+  const old = lobby.game;
+  lobby.game = newGame(old.players.map(p => p.name), false, old.players.map(p => p.bot), lobby.rules, buildDeck(DECKS, lobby.rules));
+  lobby.seatMap.forEach((ls, gs) => {
+    const p = lobby.game.players[gs];
+    if (ls >= 0) { p.account = lobby.accounts[ls]; p.standIn = !lobby.players[ls]; }
+    else p.standIn = !!old.players[gs].standIn; // takeover seats keep their player's name
+  });
+  if (!lobby.series || lobby.series.over) lobby.series = newSeries(lobby);
+  startBetClock(lobby.game);
+  broadcastGame(lobby); scheduleBots(lobby); scheduleAutoBeats(lobby); scheduleBetClock(lobby);
+  broadcastLobbyList();
+}
+
+// Hands the table to lobby seat `to`; without one, to the first seated player
+// (connected ones first). An empty table drops its host and its lock.
+function passHost(lobby, to) {
+  if (to === undefined) {
+    const seated = lobby.tokens.map((t, i) => t ? i : -1).filter(i => i >= 0);
+    const live = seated.filter(i => lobby.players[i]);
+    to = live.length ? live[0] : seated.length ? seated[0] : null;
+  }
+  lobby.host = to; cancelForceStart(lobby);
+  if (to === null) { lobby.locked = false; return; }
+  lobby.players.forEach(p => sendTo(p, { type: 'HOST_CHANGED', seat: to, name: lobby.names[to] }));
+  if (lobby.game) broadcastGame(lobby);
+}
+
 function hardLeaveBySlot(lobby, ls) {
   const token = lobby.tokens[ls]; if (token) delete sessions[token];
-  lobby.players[ls] = null; lobby.names[ls] = ''; lobby.tokens[ls] = null;
+  lobby.players[ls] = null; lobby.names[ls] = ''; lobby.tokens[ls] = null; lobby.accounts[ls] = null;
   clearTimeout(lobby.graceTimers[ls]); clearTimeout(lobby.autoTimers[ls]);
-  lobby.graceTimers[ls] = null; lobby.autoTimers[ls] = null;
+  lobby.graceTimers[ls] = null; lobby.autoTimers[ls] = null; lobby.ready[ls] = false;
   lobby.players.forEach(p => { if (p) sendTo(p, { type: 'PLAYER_LEFT', seat: ls, lobby: lobbyInfo(lobby) }); });
+  if (lobby.host === ls) passHost(lobby);
   if (lobby.solo && ls === 0) { lobby.game = null; lobby.seatMap = null; }
   if (!lobby.solo && lobby.game && lobby.game.phase !== 'GAME_OVER') {
-    const rem = lobby.seatMap ? lobby.seatMap.filter(li => lobby.players[li]).length : 0;
-    if (rem < 2) endGame(lobby);
+    // Leaving gives up the seat's result: whoever finishes it, it isn't them
+    const gs = findGameSeat(lobby, ls);
+    if (gs !== -1) lobby.game.players[gs].account = null;
+    // With takeover on, a bot inherits the seat for the rest of the game
+    if (lobby.takeover && gs !== -1) {
+      lobby.seatMap[gs] = -1;
+      play(lobby, { type: 'TAKEOVER', seat: gs }); scheduleBots(lobby);
+    }
+    // Bots keep a table going as long as one human is left to play against them
+    const rem  = lobby.seatMap ? lobby.seatMap.filter(li => li >= 0 && lobby.players[li]).length : 0;
+    const bots = lobby.game.players.filter(p => p.bot).length;
+    if (rem === 0 || rem + bots < 2) play(lobby, { type: 'END' });
+    // Otherwise, without takeover, the seat bets automatically from now on
+    else if (!lobby.takeover && gs !== -1) {
+      lobby.game.players[gs].standIn = true;
+      if (lobby.game.phase === 'BETTING' && lobby.game.bets[gs] === null) armAutoBet(lobby, ls, gs);
+      broadcastGame(lobby);
+    }
   }
+  gcLobby(lobby);
   broadcastLobbyList();
 }
 
 // ─── ACTION HANDLER ──────────────────────────────────────────────────────────
 function handleAction(ws, msg) {
   if (msg.type === 'PING')      { sendTo(ws, { type: 'PONG' }); return; }
-  if (msg.type === 'LOBBIES')   { sendTo(ws, { type: 'LOBBIES', lobbies: Object.values(lobbies).map(lobbyInfo) }); return; }
+  if (msg.type === 'LOBBIES')   { sendTo(ws, { type: 'LOBBIES', lobbies: lobbyList() }); return; }
   if (msg.type === 'RECONNECT') { handleReconnect(ws, msg); return; }
   if (msg.type === 'JOIN_LOBBY') { handleJoin(ws, msg); return; }
+  if (msg.type === 'CREATE_LOBBY') { handleCreate(ws, msg); return; }
+  if (msg.type === 'SPECTATE')   { handleSpectate(ws, msg); return; }
+  if (['REGISTER', 'LOGIN', 'AUTH', 'LOGOUT'].includes(msg.type)) { handleAccount(ws, msg); return; }
 
   const st = wsState.get(ws); if (!st || !st.lobbyId) return;
   const lobby = lobbies[st.lobbyId]; if (!lobby) return;
+  if (st.spectator) {
+    if (msg.type === 'LEAVE_LOBBY') dropSpectator(ws); // lobby list follows via broadcastLobbyList
+    if (msg.type === 'REQUEST_STATE' && lobby.game) sendTo(ws, { type: 'GAME_STATE', state: buildView(lobby, -1) });
+    return;
+  }
   const ls = st.seat, g = lobby.game;
 
+  if (msg.type === 'CHAT' || msg.type === 'EMOTE') { handleChat(ws, lobby, ls, msg); return; }
   if (msg.type === 'LEAVE_LOBBY') {
     hardLeaveBySlot(lobby, ls); wsState.delete(ws);
-    sendTo(ws, { type: 'LOBBIES', lobbies: Object.values(lobbies).map(lobbyInfo) }); return;
+    sendTo(ws, { type: 'LOBBIES', lobbies: lobbyList() }); return;
   }
   if (msg.type === 'REQUEST_STATE') {
-    if (g) sendTo(ws, { type: 'GAME_STATE', state: buildView(g, findGameSeat(lobby, ls)) });
+    if (g) sendTo(ws, { type: 'GAME_STATE', state: buildView(lobby, findGameSeat(lobby, ls)) });
     else    sendTo(ws, { type: 'LOBBY_STATE', lobby: lobbyInfo(lobby), names: lobby.names, myLobbySeat: ls });
     return;
   }
   if (msg.type === 'START') {
-    if (lobby.solo || ls !== 0 || (g && g.phase !== 'GAME_OVER')) return;
-    const active = lobby.players.map((p, i) => p ? i : -1).filter(i => i >= 0);
-    if (active.length < 2) { sendTo(ws, { type: 'ERROR', text: 'Precisas de pelo menos 2 jogadores.' }); return; }
-    lobby.seatMap = active;
-    lobby.game    = newGame(active.map(i => lobby.names[i]), false);
-    active.forEach((li, gi) => { const w = lobby.players[li]; if (w) { const s = wsState.get(w); if (s) s.gameSeat = gi; } });
-    broadcastGame(lobby); broadcastLobbyList(); scheduleAutoBeats(lobby); return;
+    if (lobby.solo || ls !== lobby.host || (g && g.phase !== 'GAME_OVER')) return;
+    if (allReady(lobby)) { launchTable(lobby); return; }
+    if (!msg.force) { sendTo(ws, { type: 'ERROR', text: 'Ainda há jogadores que não estão prontos.' }); return; }
+    if (!lobby.forceAt) { armForceStart(lobby); broadcastLobbyState(lobby); }
+    return;
+  }
+  if (msg.type === 'CANCEL_START') {
+    if (lobby.solo || ls !== lobby.host || !lobby.forceAt) return;
+    cancelForceStart(lobby);
+    broadcastLobbyState(lobby);
+    return;
+  }
+  if (msg.type === 'READY') {
+    if (lobby.solo || (g && g.phase !== 'GAME_OVER')) return;
+    lobby.ready[ls] = !!msg.on;
+    if (lobby.forceAt && allReady(lobby)) launchTable(lobby);
+    else broadcastLobbyState(lobby);
+    return;
+  }
+  if (msg.type === 'SET_TAKEOVER') {
+    if (lobby.solo || ls !== lobby.host) return;
+    lobby.takeover = !!msg.on;
+    broadcastLobbyState(lobby);
+    return;
+  }
+  if (msg.type === 'KICK' || msg.type === 'SET_HOST') {
+    if (lobby.solo || ls !== lobby.host) return;
+    const t = parseInt(msg.seat);
+    if (isNaN(t) || t === ls || !lobby.tokens[t]) return;
+    if (msg.type === 'SET_HOST') { passHost(lobby, t); broadcastLobbyState(lobby); return; }
+    // Detached first, so the lobby list from hardLeaveBySlot reaches the kicked socket
+    const target = lobby.players[t];
+    if (target) { sendTo(target, { type: 'KICKED' }); wsState.delete(target); }
+    hardLeaveBySlot(lobby, t);
+    return;
+  }
+  if (msg.type === 'LOCK') {
+    if (lobby.solo || ls !== lobby.host) return;
+    lobby.locked = !!msg.on;
+    broadcastLobbyState(lobby);
+    broadcastLobbyList(); return;
+  }
+  if (msg.type === 'SET_RULES') {
+    if (lobby.solo || ls !== lobby.host || (g && g.phase !== 'GAME_OVER')) return;
+    // Rematches reuse lobby.rules: a series is played out under the rules it began with
+    if (lobby.series && !lobby.series.over) { sendTo(ws, { type: 'ERROR', text: 'As regras não mudam a meio de uma série.' }); return; }
+    const { rules, error } = parseRules(msg.rules || {});
+    if (error) { sendTo(ws, { type: 'ERROR', text: error }); return; }
+    lobby.rules = rules;
+    broadcastLobbyState(lobby);
+    return;
+  }
+  if (msg.type === 'ADD_BOT' || msg.type === 'REMOVE_BOT') {
+    if (lobby.solo || ls !== lobby.host || (g && g.phase !== 'GAME_OVER')) return;
+    if (msg.type === 'ADD_BOT') {
+      const seated = lobby.players.filter(Boolean).length;
+      if (seated + lobby.bots.length >= lobby.maxHuman) { sendTo(ws, { type: 'ERROR', text: 'Mesa cheia.' }); return; }
+      lobby.bots.push(BOT_LEVELS.includes(msg.level) ? msg.level : 'normal');
+    } else {
+      const i = parseInt(msg.index);
+      if (isNaN(i) || i < 0 || i >= lobby.bots.length) return;
+      lobby.bots.splice(i, 1);
+    }
+    broadcastLobbyState(lobby);
+    broadcastLobbyList(); return;
   }
   if (msg.type === 'BET') {
-    if (!g || g.phase !== 'BETTING') { if (g) sendTo(ws, { type: 'GAME_STATE', state: buildView(g, findGameSeat(lobby, ls)) }); return; }
+    if (!g || g.phase !== 'BETTING') { if (g) sendTo(ws, { type: 'GAME_STATE', state: buildView(lobby, findGameSeat(lobby, ls)) }); return; }
+    const gs = findGameSeat(lobby, ls); if (gs === -1) return;
+    play(lobby, { type: 'BET', seat: gs, pos: parseInt(msg.position) }); return;
+  }
+  if (msg.type === 'REMATCH') {
+    if (lobby.solo || !g || g.phase !== 'GAME_OVER' || !lineupIntact(lobby)) return;
     const gs = findGameSeat(lobby, ls); if (gs === -1) return;
-    const pos = parseInt(msg.position);
-    if (isNaN(pos) || pos < 0 || pos >= g.n || g.bets[gs] !== null) return;
-    g.bets[gs] = pos; broadcastGame(lobby); checkAllBetsIn(lobby); return;
+    voteRematch(lobby, gs, !!msg.on);
+    return;
   }
   if (msg.type === 'RESTART') {
     if (!g || g.phase !== 'GAME_OVER') return;
     if (lobby.solo) {
-      lobby.game = newGame([lobby.names[0]||'Jogador','Bot Capivaras 1','Bot Capivaras 2'], true);
+      lobby.game = newSoloGame(lobby);
       lobby.seatMap = null; const s = wsState.get(ws); if (s) s.gameSeat = 0;
       broadcastGame(lobby); scheduleBots(lobby);
     } else {
-      if (ls !== 0) return;
-      const active = lobby.players.map((p, i) => p ? i : -1).filter(i => i >= 0);
-      if (active.length < 2) { sendTo(ws, { type: 'ERROR', text: 'Precisas de pelo menos 2 jogadores.' }); return; }
-      lobby.seatMap = active;
-      lobby.game    = newGame(active.map(i => lobby.names[i]), false);
-      active.forEach((li, gi) => { const w = lobby.players[li]; if (w) { const s = wsState.get(w); if (s) s.gameSeat = gi; } });
-      broadcastGame(lobby); scheduleAutoBeats(lobby);
+      // Back to the wait room for a fresh ready check
+      if (ls !== lobby.host) return;
+      lobby.game = null; lobby.seatMap = null; lobby.series = null; lobby.ready.fill(false);
+      sendToTable(lobby, { type: 'TABLE_RESET' });
+      // Nothing left to watch: spectators fall back to the lobby list below
+      lobby.spectators.forEach(w => wsState.delete(w)); lobby.spectators.clear();
+      broadcastLobbyState(lobby);
+      broadcastLobbyList();
     }
   }
 }
 
 function handleJoin(ws, msg) {
-  const { lobbyId, playerName } = msg;
-  const lobby = lobbies[lobbyId];
-  if (!lobby) { sendTo(ws, { type: 'ERROR', text: 'Mesa não encontrada.' }); return; }
+  const { playerName } = msg;
+  // Existing solo tables belong to their player; private ones need their code
+  const lobby = msg.lobbyId === 'solo' ? makeSoloLobby(msg.difficulty, msg.bots) : msg.code ? findByCode(msg.code) : lobbies[msg.lobbyId];
+  if (!lobby && msg.code) { sendTo(ws, { type: 'ERROR', text: 'Código de mesa inválido.' }); return; }
+  if (!lobby || (lobby.solo && msg.lobbyId !== 'solo') || (lobby.code && !msg.code)) {
+    sendTo(ws, { type: 'ERROR', text: 'Mesa não encontrada.' }); return; }
+  const lobbyId = lobby.id;
   if (!lobby.solo && lobby.game && lobby.game.phase !== 'GAME_OVER') {
     sendTo(ws, { type: 'ERROR', text: 'Jogo em curso.' }); return; }
+  if (lobby.locked) { sendTo(ws, { type: 'ERROR', text: 'Esta mesa está trancada.' }); return; }
   const seat = lobby.players.findIndex(p => p === null);
-  if (seat === -1) { sendTo(ws, { type: 'ERROR', text: 'Mesa cheia.' }); return; }
-  const name  = (playerName||'').trim().slice(0,20)||'Jogador';
+  if (seat === -1 || lobby.players.filter(Boolean).length + lobby.bots.length >= lobby.maxHuman) {
+    sendTo(ws, { type: 'ERROR', text: 'Mesa cheia.' }); return; }
+  if (seatedAt(ws, lobby)) { sendTo(ws, { type: 'ERROR', text: 'Já estás nesta mesa.' }); return; }
+  leaveCurrent(ws);
+  // Logged-in players always play under their account name
+  const account = wsAccount.get(ws) || null;
+  const name  = account ? accounts[account].name : (playerName||'').trim().slice(0,20)||'Jogador';
   const token = Math.random().toString(36).slice(2)+Math.random().toString(36).slice(2);
-  lobby.players[seat]=ws; lobby.names[seat]=name; lobby.tokens[seat]=token;
+  lobby.players[seat]=ws; lobby.names[seat]=name; lobby.tokens[seat]=token; lobby.accounts[seat]=account;
+  if (lobby.host === null) lobby.host = seat;
+  lobby.ready[seat] = false;
   wsState.set(ws, { lobbyId, seat, gameSeat: seat, token });
-  sessions[token] = { lobbyId, seat, name };
+  sessions[token] = { lobbyId, seat, name, account };
   sendTo(ws, { type:'JOINED', seat, token, lobbyId, solo:lobby.solo, name, lobby:lobbyInfo(lobby), names:lobby.names });
+  sendTo(ws, { type:'CHAT_HISTORY', chat:lobby.chat });
   lobby.players.forEach((p,i) => { if(p&&i!==seat) sendTo(p,{type:'PLAYER_JOINED',seat,name,lobby:lobbyInfo(lobby)}); });
   broadcastLobbyList();
   if (lobby.solo) {
     lobby.seatMap=null; const s=wsState.get(ws); if(s) s.gameSeat=0;
-    lobby.game=newGame([name,'Bot Capivaras 1','Bot Capivaras 2'],true);
+    lobby.game=newSoloGame(lobby);
     broadcastGame(lobby); scheduleBots(lobby);
   }
 }
 
+function handleCreate(ws, msg) {
+  if (Object.values(lobbies).filter(l => l.userMade).length >= MAX_USER_LOBBIES) {
+    sendTo(ws, { type: 'ERROR', text: 'Demasiadas mesas abertas. Tenta mais tarde.' }); return; }
+  const maxHuman = parseInt(msg.maxHuman);
+  if (isNaN(maxHuman) || maxHuman < 2 || maxHuman > 6) {
+    sendTo(ws, { type: 'ERROR', text: 'Uma mesa tem de 2 a 6 lugares.' }); return; }
+  const owner = (msg.playerName||'').trim().slice(0,20)||'Jogador';
+  const name  = (msg.name||'').trim().slice(0,24)||'Mesa de '+owner;
+  leaveCurrent(ws);
+  const lobby = makeUserLobby(name, maxHuman, !!msg.private);
+  handleJoin(ws, { lobbyId: lobby.id, code: lobby.code, playerName: msg.playerName });
+}
+
+function handleSpectate(ws, msg) {
+  const lobby = msg.code ? findByCode(msg.code) : lobbies[msg.lobbyId];
+  if (!lobby || lobby.solo || (lobby.code && !msg.code)) { sendTo(ws, { type: 'ERROR', text: 'Mesa não encontrada.' }); return; }
+  if (!lobby.game) { sendTo(ws, { type: 'ERROR', text: 'Ainda não há jogo nesta mesa.' }); return; }
+  if (seatedAt(ws, lobby)) { sendTo(ws, { type: 'ERROR', text: 'Já estás nesta mesa.' }); return; }
+  leaveCurrent(ws);
+  lobby.spectators.add(ws);
+  wsState.set(ws, { lobbyId: lobby.id, spectator: true });
+  sendTo(ws, { type: 'SPECTATING', lobby: lobbyInfo(lobby) });
+  sendTo(ws, { type: 'CHAT_HISTORY', chat: lobby.chat });
+  broadcastGame(lobby); broadcastLobbyList();
+}
+
+// A socket holds one seat or spectator place at a time. Moving elsewhere gives
+// up the old seat for good: left behind, it would have no grace timer to free it.
+// Callers check the move will succeed first, so a failed one keeps the seat.
+function leaveCurrent(ws) {
+  const st = wsState.get(ws); if (!st || !st.lobbyId) return;
+  if (st.spectator) { dropSpectator(ws); return; }
+  wsState.delete(ws);
+  const lobby = lobbies[st.lobbyId];
+  if (lobby && lobby.players[st.seat] === ws) hardLeaveBySlot(lobby, st.seat);
+}
+
+function seatedAt(ws, lobby) {
+  const st = wsState.get(ws);
+  return !!st && st.lobbyId === lobby.id && !st.spectator;
+}
+
+function dropSpectator(ws) {
+  const st = wsState.get(ws); if (!st || !st.spectator) return;
+  wsState.delete(ws);
+  const lobby = lobbies[st.lobbyId]; if (!lobby) return;
+  lobby.spectators.delete(ws); gcLobby(lobby);
+  broadcastGame(lobby); broadcastLobbyList();
+}
+
 function handleReconnect(ws, msg) {
   const sess=sessions[msg.token];
   if (!sess) { sendTo(ws,{type:'RECONNECT_FAIL'}); return; }
@@ -505,11 +758,14 @@ function handleReconnect(ws, msg) {
   if (existing && existing!==ws && existing.readyState===1) {
     sendTo(ws,{type:'RECONNECT_FAIL'}); return;
   }
+  const cur=wsState.get(ws); if (cur && cur.token!==msg.token) leaveCurrent(ws);
   clearTimeout(lobby.graceTimers[seat]); lobby.graceTimers[seat]=null;
   lobby.players[seat]=ws; lobby.names[seat]=name;
   const gs=lobby.seatMap?lobby.seatMap.indexOf(seat):seat;
+  if (lobby.game&&gs!==-1&&lobby.game.players[gs]) lobby.game.players[gs].standIn=false;
   wsState.set(ws,{lobbyId:sess.lobbyId,seat,gameSeat:gs,token:msg.token});
   sendTo(ws,{type:'RECONNECTED',seat,gameSeat:gs,name,solo:lobby.solo});
+  sendTo(ws,{type:'CHAT_HISTORY',chat:lobby.chat});
   broadcastLobbyList();
   if (lobby.game) {
     broadcastGame(lobby);
@@ -521,6 +777,215 @@ function handleReconnect(ws, msg) {
   lobby.players.forEach((p,i)=>{if(p&&i!==seat)sendTo(p,{type:'OPPONENT_RECONNECTED',seat,name});});
 }
 
+// ─── CHAT ────────────────────────────────────────────────────────────────────
+// Table talk for seated players; spectators only read along. Text is escaped
+// here so every client can drop it straight into the page. Emotes aren't kept.
+const chatTimes = new WeakMap();
+
+function escHtml(s) {
+  return s.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+}
+
+function sendToTable(lobby, msg) {
+  lobby.players.forEach(p => sendTo(p, msg));
+  lobby.spectators.forEach(w => sendTo(w, msg));
+}
+
+function handleChat(ws, lobby, ls, msg) {
+  if (lobby.solo) return;
+  const now = Date.now();
+  const times = (chatTimes.get(ws) || []).filter(t => now - t < CHAT_WINDOW);
+  if (times.length >= CHAT_RATE) { sendTo(ws, { type: 'ERROR', text: 'Calma! Estás a enviar mensagens depressa demais.' }); return; }
+  if (msg.type === 'EMOTE') {
+    if (!EMOTES.includes(msg.emote)) return;
+    times.push(now); chatTimes.set(ws, times);
+    sendToTable(lobby, { type: 'EMOTE', seat: ls, gameSeat: lobby.game ? findGameSeat(lobby, ls) : -1, emote: msg.emote });
+    return;
+  }
+  const text = String(msg.text || '').replace(/\s+/g, ' ').trim().slice(0, CHAT_MAX_LEN);
+  if (!text) return;
+  times.push(now); chatTimes.set(ws, times);
+  const entry = { seat: ls, name: lobby.names[ls], text: escHtml(text), at: now };
+  lobby.chat.push(entry);
+  if (lobby.chat.length > CHAT_HISTORY) lobby.chat.shift();
+  sendToTable(lobby, { type: 'CHAT', entry });
+  persist();
+}
+
+// ─── PERSISTENCE ─────────────────────────────────────────────────────────────
+// Lobbies, sessions and games are snapshotted to the store (coalesced to one
+// write per tick) and reloaded on boot. Sockets and timers are never stored:
+// restore() re-arms them, and players resume through their usual RECONNECT.
+const store = createFileStore(DATA_DIR);
+const LOBBY_FIELDS = ['id', 'name', 'solo', 'maxHuman', 'names', 'tokens', 'accounts', 'seatMap', 'game',
+                      'userMade', 'code', 'bots', 'takeover', 'botLevel', 'botCount', 'rules', 'chat', 'host', 'locked', 'ready', 'series'];
+let saveQueued = false;
+
+function snapshot() {
+  return { savedAt: Date.now(), sessions,
+    lobbies: Object.values(lobbies).map(l => Object.fromEntries(LOBBY_FIELDS.map(k => [k, l[k]]))) };
+}
+
+function saveNow() {
+  try { store.write('state', snapshot()); }
+  catch (e) { console.error('Could not save state: ' + e.message); }
+}
+
+function persist() {
+  if (saveQueued) return;
+  saveQueued = true;
+  setImmediate(() => { saveQueued = false; saveNow(); });
+}
+
+function restore() {
+  const snap = store.read('state');
+  if (!snap || !Array.isArray(snap.lobbies)) return;
+  snap.lobbies.forEach(d => {
+    const lobby = makeLobby(d.id, d.name, d.solo, d.maxHuman);
+    LOBBY_FIELDS.forEach(k => { if (d[k] !== undefined) lobby[k] = d[k]; });
+    lobby.rules = { ...lobby.rules, ...knownDecks(lobby.rules) };
+    lobbies[lobby.id] = lobby;
+  });
+  Object.entries(snap.sessions || {}).forEach(([token, s]) => {
+    const lobby = lobbies[s.lobbyId];
+    if (lobby && lobby.tokens[s.seat] === token) sessions[token] = s;
+  });
+  Object.values(lobbies).forEach(rearm);
+  console.log('Restored ' + Object.keys(sessions).length + ' sessions from ' + new Date(snap.savedAt).toISOString());
+}
+
+// Nobody is connected right after a boot: every held seat starts its grace
+// period and the game's pending reveal, bot, auto-bet and clock timers are set again
+function rearm(lobby) {
+  lobby.tokens.forEach((t, ls) => {
+    if (t) lobby.graceTimers[ls] = setTimeout(() => hardLeaveBySlot(lobby, ls), GRACE_MS);
+  });
+  const g = lobby.game; if (!g) return;
+  if (!g.isSolo && lobby.seatMap && g.phase !== 'GAME_OVER')
+    lobby.seatMap.forEach((ls, gs) => { if (ls >= 0) g.players[gs].standIn = true; });
+  if (g.phase === 'REVEAL') scheduleReveal(lobby);
+  // A fresh betting clock: nobody could have bet while the server was down
+  if (g.phase === 'BETTING') { startBetClock(g); scheduleBots(lobby); scheduleAutoBeats(lobby); scheduleBetClock(lobby); }
+}
+
+// ─── ACCOUNTS ────────────────────────────────────────────────────────────────
+// Lightweight local accounts: a name plus a PIN or passphrase (scrypt-hashed),
+// all kept under the store's 'accounts' key and indexed by lower-cased name.
+// Logging in hands out a token the client keeps in localStorage. Both maps are
+// keyed by names the client picks, so they have no prototype to collide with.
+const accounts   = Object.assign(Object.create(null), store.read('accounts'));
+const wsAccount  = new WeakMap();
+const loginFails = Object.create(null);
+const MAX_ACCOUNT_TOKENS = 5;
+const MAX_LOGIN_FAILS    = 5;
+const LOGIN_LOCK_MS      = 60_000;
+const ELO_START = 1200;
+const ELO_K     = 32;
+
+function hashPin(pin, salt) { return crypto.scryptSync(pin, salt, 32).toString('hex'); }
+function emptyStats() { return { games: 0, wins: 0, points: 0, birdTokens: 0, allLilies: 0 }; }
+
+function saveAccounts() {
+  try { store.write('accounts', accounts); }
+  catch (e) { console.error('Could not save accounts: ' + e.message); }
+}
+
+function findAccountByToken(token) {
+  return token ? Object.keys(accounts).find(k => accounts[k].tokens.includes(token)) : undefined;
+}
+
+function handleAccount(ws, msg) {
+  if (msg.type === 'AUTH') {
+    const key = findAccountByToken(msg.token);
+    if (!key) { sendTo(ws, { type: 'AUTH_FAIL' }); return; }
+    wsAccount.set(ws, key); sendTo(ws, { type: 'ACCOUNT', name: accounts[key].name, token: msg.token }); return;
+  }
+  if (msg.type === 'LOGOUT') {
+    const key = findAccountByToken(msg.token);
+    if (key) { accounts[key].tokens = accounts[key].tokens.filter(t => t !== msg.token); saveAccounts(); }
+    wsAccount.delete(ws); sendTo(ws, { type: 'LOGGED_OUT' }); return;
+  }
+  const name = String(msg.name || '').trim().slice(0, 20), key = name.toLowerCase(), pin = String(msg.pin || '');
+  if (!name) { sendTo(ws, { type: 'ERROR', text: 'Precisas de um nome.' }); return; }
+  if (pin.length < 4 || pin.length > 64) { sendTo(ws, { type: 'ERROR', text: 'O PIN tem de ter entre 4 e 64 caracteres.' }); return; }
+  if (msg.type === 'REGISTER') {
+    if (accounts[key]) { sendTo(ws, { type: 'ERROR', text: 'Esse nome já tem conta.' }); return; }
+    const salt = crypto.randomBytes(16).toString('hex');
+    accounts[key] = { name, salt, hash: hashPin(pin, salt), createdAt: Date.now(), tokens: [], stats: emptyStats() };
+  } else {
+    const acc = accounts[key], fails = loginFails[key];
+    if (fails && fails.until > Date.now()) { sendTo(ws, { type: 'ERROR', text: 'Demasiadas tentativas. Espera um minuto.' }); return; }
+    if (!acc || !crypto.timingSafeEqual(Buffer.from(hashPin(pin, acc.salt), 'hex'), Buffer.from(acc.hash, 'hex'))) {
+      const n = (fails && !fails.until ? fails.n : 0) + 1;
+      loginFails[key] = { n, until: n >= MAX_LOGIN_FAILS ? Date.now() + LOGIN_LOCK_MS : 0 };
+      sendTo(ws, { type: 'ERROR', text: 'Nome ou PIN errados.' }); return;
+    }
+    delete loginFails[key];
+  }
+  const acc = accounts[key], token = crypto.randomBytes(18).toString('hex');
+  acc.tokens = [token, ...acc.tokens].slice(0, MAX_ACCOUNT_TOKENS);
+  saveAccounts();
+  wsAccount.set(ws, key); sendTo(ws, { type: 'ACCOUNT', name: acc.name, token });
+}
+
+// The account a seat plays for. Guests have none (and "null" is a name someone
+// may have registered); hardLeaveBySlot drops it from seats left mid-game.
+function seatAccount(g, i) { const a = g.players[i].account; return a ? accounts[a] : null; }
+
+// Folds a finished game into the stats of every account that played it
+function recordStats(g) {
+  let changed = false;
+  g.finalScores.forEach((s, i) => {
+    const acc = seatAccount(g, i); if (!acc) return;
+    const st = acc.stats;
+    st.games++; st.points += s.pts;
+    if (s.winner) st.wins++;
+    if (s.hasBird) st.birdTokens++;
+    if (s.allLilies) st.allLilies++;
+    changed = true;
+  });
+  if (changed) saveAccounts();
+}
+
+// Pairwise ELO over the final standings of a completed multiplayer game: each
+// pair of account holders plays a virtual duel decided like the game itself
+// (points, then TIE_BREAKS), and the K factor is split across the opponents.
+// Solo games, games cut short by hardLeaveBySlot and bot seats (taken over
+// ones included) don't count.
+function updateRatings(g) {
+  if (g.isSolo || g.endedEarly) return;
+  const rated = g.finalScores.map((s, i) => ({ s, i, acc: seatAccount(g, i) })).filter(r => r.acc);
+  if (rated.length < 2) return;
+  const before = rated.map(r => r.acc.rating || ELO_START);
+  rated.forEach((r, a) => {
+    let delta = 0;
+    rated.forEach((o, b) => {
+      if (a === b) return;
+      const expected = 1 / (1 + Math.pow(10, (before[b] - before[a]) / 400));
+      const cmp      = compareScores(r.s, o.s);
+      const actual   = cmp > 0 ? 1 : cmp === 0 ? 0.5 : 0;
+      delta += actual - expected;
+    });
+    r.acc.rating = before[a] + ELO_K / (rated.length - 1) * delta;
+    r.acc.ratedGames = (r.acc.ratedGames || 0) + 1;
+    r.s.rating = { before: Math.round(before[a]), after: Math.round(r.acc.rating) };
+  });
+}
+
+function leaderboard() {
+  return Object.values(accounts).filter(a => a.ratedGames)
+    .sort((a, b) => b.rating - a.rating).slice(0, 50)
+    .map(a => ({ name: a.name, rating: Math.round(a.rating), games: a.ratedGames, wins: a.stats.wins }));
+}
+
+function profileOf(name) {
+  const acc = accounts[String(name).toLowerCase()]; if (!acc) return null;
+  const st = acc.stats, n = st.games;
+  return { name: acc.name, since: acc.createdAt, games: n, wins: st.wins,
+           rating: Math.round(acc.rating || ELO_START), ratedGames: acc.ratedGames || 0,
+           avgPoints: n ? st.points / n : 0, birdRate: n ? st.birdTokens / n : 0, lilyRate: n ? st.allLilies / n : 0 };
+}
+
 // ─── HTTP + WS SERVER ────────────────────────────────────────────────────────
 const MANIFEST = `{
   "name": "Capivaras",
@@ -538,7 +1003,45 @@ const MANIFEST = `{
     { "src": "/bird.png", "sizes": "512x512", "type": "image/png", "purpose": "maskable" }
   ]
 }`;
-const SW = "self.addEventListener('fetch', e => {\n  // network-first: serve fresh if online, nothing cached\n});";
+const ENGINE_JS = fs.readFileSync(path.join(__dirname, 'engine.js'));
+
+// ─── SERVICE WORKER ──────────────────────────────────────────────────────────
+// Precaches the shell, the engine and all the art, then serves them cache-first
+// so the app opens (and solo plays against browser bots) with no network.
+// The cache name is a hash over everything precached: any deploy that changes
+// one of those files rolls the cache over and the old one is dropped.
+let swSource = null;
+function serviceWorker() {
+  if (swSource) return swSource;
+  const cards = fs.readdirSync(path.join(__dirname, 'public', 'cards')).filter(f => f.endsWith('.png')).sort();
+  const files = ['bird.png', ...cards.map(f => 'cards/' + f)];
+  const hash  = crypto.createHash('sha1').update(CLIENT_HTML).update(ENGINE_JS).update(MANIFEST);
+  files.forEach(f => { const st = fs.statSync(path.join(__dirname, 'public', f)); hash.update(f + st.size + st.mtimeMs); });
+  const precache = ['/', '/engine.js', '/manifest.json', ...files.map(f => '/' + f)];
+  swSource = `const CACHE = 'capivaras-${hash.digest('hex').slice(0, 12)}';
+const PRECACHE = ${JSON.stringify(precache)};
+self.addEventListener('install', e => {
+  e.waitUntil(caches.open(CACHE).then(c => c.addAll(PRECACHE)).then(() => self.skipWaiting()));
+});
+self.addEventListener('activate', e => {
+  e.waitUntil(caches.keys()
+    .then(keys => Promise.all(keys.filter(k => k.startsWith('capivaras-') && k !== CACHE).map(k => caches.delete(k))))
+    .then(() => self.clients.claim()));
+});
+self.addEventListener('fetch', e => {
+  const url = new URL(e.request.url);
+  if (e.request.method !== 'GET' || url.origin !== location.origin) return;
+  // Matched by path alone: invite links only add ?mesa= to the same shell
+  const key = url.pathname === '/index.html' ? '/' : url.pathname;
+  if (!PRECACHE.includes(key)) return;
+  e.respondWith(caches.open(CACHE).then(c => c.match(key).then(hit => hit || fetch(e.request).then(res => {
+    if (res.ok) c.put(key, res.clone());
+    return res;
+  }))));
+});
+`;
+  return swSource;
+}
 
 const server = http.createServer((req, res) => {
   const url = req.url.split('?')[0];
@@ -553,12 +1056,29 @@ const server = http.createServer((req, res) => {
       res.writeHead(200, { 'Content-Type': 'image/png', 'Cache-Control': 'public,max-age=86400' });
       res.end(png);
     } else { res.writeHead(404); res.end(); }
+  } else if (url.startsWith('/api/games/')) {
+    const id = url.slice('/api/games/'.length);
+    const record = /^[a-z0-9]{1,16}$/.test(id) ? store.read('game-' + id) : null;
+    if (!record) { res.writeHead(404, { 'Content-Type': 'application/json' }); res.end('{"error":"not found"}'); return; }
+    res.writeHead(200, { 'Content-Type': 'application/json', 'Cache-Control': 'public,max-age=86400' });
+    res.end(JSON.stringify(record));
+  } else if (url === '/api/leaderboard') {
+    res.writeHead(200, { 'Content-Type': 'application/json', 'Cache-Control': 'no-store' });
+    res.end(JSON.stringify(leaderboard()));
+  } else if (url.startsWith('/api/players/')) {
+    let name = ''; try { name = decodeURIComponent(url.slice('/api/players/'.length)); } catch {}
+    const profile = profileOf(name);
+    res.writeHead(profile ? 200 : 404, { 'Content-Type': 'application/json', 'Cache-Control': 'no-store' });
+    res.end(JSON.stringify(profile || { error: 'not found' }));
   } else if (url === '/manifest.webmanifest' || url === '/manifest.json') {
     res.writeHead(200, { 'Content-Type': 'application/manifest+json' });
     res.end(MANIFEST);
   } else if (url === '/sw.js') {
-    res.writeHead(200, { 'Content-Type': 'application/javascript', 'Service-Worker-Allowed': '/' });
-    res.end(SW);
+    res.writeHead(200, { 'Content-Type': 'application/javascript', 'Service-Worker-Allowed': '/', 'Cache-Control': 'no-cache' });
+    res.end(serviceWorker());
+  } else if (url === '/engine.js') {
+    res.writeHead(200, { 'Content-Type': 'application/javascript', 'Cache-Control': 'no-cache' });
+    res.end(ENGINE_JS);
   } else {
     serveStatic(req, res);
   }
@@ -569,22 +1089,21 @@ wss.on('connection', ws => {
   ws.on('message', raw => { try { handleAction(ws, JSON.parse(raw)); } catch {} });
   ws.on('close', () => {
     const st = wsState.get(ws); if (!st||!st.lobbyId) return;
+    if (st.spectator) { dropSpectator(ws); return; }
     const lobby=lobbies[st.lobbyId]; if(!lobby) return;
     const {seat}=st;
     lobby.players[seat]=null;
     lobby.players.forEach(p=>{if(p)sendTo(p,{type:'OPPONENT_DISCONNECTED_GRACE',seat,name:lobby.names[seat],graceMs:GRACE_MS});});
     broadcastLobbyList();
     const g=lobby.game;
+    if (g&&!g.isSolo&&g.phase!=='GAME_OVER') {
+      const gs=findGameSeat(lobby,seat);
+      if (gs!==-1) { g.players[gs].standIn=true; broadcastGame(lobby); }
+    }
     if (g&&g.phase==='BETTING') {
       const gs=findGameSeat(lobby,seat);
       if (gs!==-1&&g.bets[gs]===null) {
-        const gen=g.turnGen;
-        lobby.autoTimers[seat]=setTimeout(()=>{
-          if(!lobby.game||lobby.game.turnGen!==gen||lobby.game.phase!=='BETTING') return;
-          if(g.bets[gs]!==null) return;
-          g.bets[gs]=Math.floor(Math.random()*g.n);
-          broadcastGame(lobby); checkAllBetsIn(lobby);
-        }, AUTODEAL_MS);
+        lobby.autoTimers[seat]=setTimeout(()=>{ if(sameTurn(lobby,g)) play(lobby,{type:'AUTO',seat:gs}); }, AUTODEAL_MS);
       }
     }
     lobby.graceTimers[seat]=setTimeout(()=>hardLeaveBySlot(lobby,seat),GRACE_MS);
@@ -593,7 +1112,9 @@ wss.on('connection', ws => {
 });
 
 setInterval(()=>{ for(const ws of wss.clients) if(ws.readyState===1) ws.ping(); },20_000);
-server.listen(PORT, ()=>console.log('Capivaras on port '+PORT));
+restore();
+['SIGINT','SIGTERM'].forEach(sig=>process.on(sig,()=>{ saveNow(); process.exit(0); }));
+server.listen(PORT, ()=>console.log('Capivaras on port '+server.address().port));
 
 
 
@@ -681,7 +1202,7 @@ body {
 /* ── SCREENS ── */
 .screen { display: none; min-height: 100vh; }
 .screen.active { display: flex; flex-direction: column; align-items: center; justify-content: center; padding: 24px; }
-#screen-game { justify-content: flex-start; padding: 12px; }
+#screen-game, #screen-replay { justify-content: flex-start; padding: 12px; }
 
 /* ── LOGO ── */
 .game-logo {
@@ -708,7 +1229,7 @@ body {
 }
 
 /* ── INPUTS & BUTTONS ── */
-input[type=text] {
+input[type=text], input[type=password] {
   width: 100%; padding: 12px 16px;
   border-radius: 10px; border: 1.5px solid var(--border);
   background: #fffef9; color: var(--ink);
@@ -716,8 +1237,8 @@ input[type=text] {
   outline: none; margin-bottom: 16px;
   transition: border-color .15s;
 }
-input[type=text]:focus { border-color: var(--amber); }
-input[type=text]::placeholder { color: var(--muted); opacity: .7; }
+input[type=text]:focus, input[type=password]:focus { border-color: var(--amber); }
+input[type=text]::placeholder, input[type=password]::placeholder { color: var(--muted); opacity: .7; }
 
 .btn {
   display: inline-flex; align-items: center; justify-content: center;
@@ -759,14 +1280,80 @@ input[type=text]::placeholder { color: var(--muted); opacity: .7; }
 }
 .join-btn:hover { background: var(--amber2); }
 .join-btn:disabled { opacity: .35; cursor: not-allowed; box-shadow: none; }
+.lobby-tools { margin-top: 22px; padding-top: 18px; border-top: 1px solid var(--border2); }
+.lobby-tools h3 { font-family: 'Fraunces', serif; font-size: 1rem; font-weight: 700; color: var(--ink); margin-bottom: 10px; }
+.lobby-tools input[type=text] { margin-bottom: 10px; }
+.tool-row { display: flex; gap: 10px; align-items: center; flex-wrap: wrap; margin-bottom: 16px; }
+.tool-row input[type=text] { margin-bottom: 0; flex: 1; min-width: 120px; }
+.tool-row label { font-size: .83rem; color: var(--ink2); display: inline-flex; align-items: center; gap: 6px; }
+.offline-note { font-size: .88rem; color: var(--ink2); line-height: 1.55; margin-bottom: 16px; }
+select {
+  padding: 7px 10px; border-radius: 8px; border: 1.5px solid var(--border);
+  background: #fffef9; color: var(--ink); font-family: 'Nunito', sans-serif; font-size: .85rem;
+}
+#inp-code { text-transform: uppercase; letter-spacing: .15em; }
+.wait-code {
+  text-align: center; font-size: .84rem; color: var(--ink2);
+  background: #fff8e0; border: 1.5px dashed #e8c878; border-radius: 10px; padding: 10px 14px;
+}
+.wait-code strong { font-family: 'Fraunces', serif; font-size: 1.15rem; letter-spacing: .15em; color: var(--ink); }
+
+/* ── ACCOUNTS ── */
+.account-area { margin-top: 18px; padding-top: 16px; border-top: 1px solid var(--border2); text-align: left; }
+.account-area p { font-size: .78rem; color: var(--muted); margin-bottom: 10px; }
+.account-bar { display: flex; align-items: center; justify-content: space-between; gap: 8px; flex-wrap: wrap;
+  font-size: .82rem; color: var(--ink2); margin-bottom: 14px; }
+.stat-grid { display: grid; grid-template-columns: repeat(auto-fit, minmax(130px, 1fr)); gap: 10px; margin: 8px 0 20px; }
+.stat {
+  background: rgba(255,252,244,.9); border: 1.5px solid var(--border2); border-radius: 12px;
+  padding: 12px 14px; text-align: center;
+}
+.stat-val { font-family: 'Fraunces', serif; font-size: 1.5rem; font-weight: 900; color: var(--amber); }
+.stat-lbl { font-size: .72rem; color: var(--muted); font-weight: 700; text-transform: uppercase; letter-spacing: .05em; }
+
+.rank-table { width: 100%; border-collapse: collapse; margin-bottom: 18px; font-size: .86rem; }
+.rank-table th { text-align: left; font-size: .68rem; color: var(--muted); text-transform: uppercase; letter-spacing: .06em; padding: 6px 8px; border-bottom: 1.5px solid var(--border2); }
+.rank-table td { padding: 8px; border-bottom: 1px solid var(--border2); color: var(--ink2); }
+.rank-table td.rank-pos { font-family: 'Fraunces', serif; font-weight: 900; color: var(--amber); width: 36px; }
+.rank-table td.rank-rating { font-family: 'Fraunces', serif; font-weight: 700; color: var(--ink); }
+.rank-table tr.me td { background: #fffaee; font-weight: 700; }
+.rating-delta { font-size: .7rem; font-weight: 700; margin-left: 4px; }
+.rating-delta.up { color: #2e7a2e; } .rating-delta.down { color: #8a2010; }
 
 /* ── WAIT ── */
 .wait-players { display: flex; gap: 8px; flex-wrap: wrap; justify-content: center; margin: 18px 0; }
 .wait-player {
-  background: rgba(255,252,244,.9); border: 1.5px solid var(--border2);
+  position: relative; background: rgba(255,252,244,.9); border: 1.5px solid var(--border2);
   border-radius: 10px; padding: 9px 16px; font-size: .88rem; color: var(--ink2);
 }
 .wait-player.me { border-color: var(--amber); color: var(--ink); font-weight: 700; }
+.wait-player.bot { border-style: dashed; border-color: #80c0e0; color: #185888; }
+.wait-player .rm-bot { background: none; border: none; cursor: pointer; color: var(--muted); font-weight: 900; margin-left: 6px; }
+.wait-player .rm-bot:hover { color: #8a2810; }
+.wait-player .host-btn { background: none; border: none; cursor: pointer; color: var(--muted); font-size: .8rem; margin-left: 6px; }
+.wait-player .host-btn:hover { color: var(--amber); }
+.wait-player.host { background: #fffaee; }
+.wait-player.ready { border-color: #b0d890; }
+.wait-ready { font-size: .68rem; font-weight: 700; margin-left: 6px; color: var(--muted); }
+.wait-player.ready .wait-ready { color: #1e5a1e; }
+.wait-countdown {
+  text-align: center; font-size: .86rem; font-weight: 700; color: #7a4800; margin-bottom: 12px;
+  background: #fff0d0; border: 1px solid #e8c060; border-radius: 10px; padding: 8px 12px;
+}
+.wait-locked { text-align: center; font-size: .8rem; font-weight: 700; color: #8a2810; margin-top: 10px; }
+.wait-option { display: flex; gap: 8px; align-items: center; justify-content: center; font-size: .8rem; color: var(--ink2); margin-bottom: 12px; }
+.bot-row { display: flex; gap: 8px; justify-content: center; align-items: center; margin-bottom: 12px; }
+.wait-rules { font-size: .8rem; color: var(--ink2); text-align: center; margin-bottom: 14px; line-height: 1.6; }
+.rules-form {
+  display: grid; grid-template-columns: repeat(auto-fit, minmax(150px, 1fr)); gap: 8px 12px;
+  background: rgba(255,252,244,.9); border: 1.5px solid var(--border2); border-radius: 12px;
+  padding: 12px 14px; margin-bottom: 14px;
+}
+.rules-form .deck-mix { grid-column: 1 / -1; display: flex; flex-wrap: wrap; gap: 4px 14px; align-items: center; font-size: .72rem; font-weight: 700; color: var(--muted); }
+.rules-form .deck-mix label { flex-direction: row; align-items: center; gap: 5px; font-weight: 600; color: var(--ink2); }
+.rules-form .deck-mix input { width: auto; }
+.rules-form label { display: flex; flex-direction: column; gap: 4px; font-size: .72rem; font-weight: 700; color: var(--muted); }
+.rules-form input { padding: 7px 10px; border-radius: 8px; border: 1.5px solid var(--border); font-size: .85rem; width: 100%; }
 
 /* ── GAME HEADER ── */
 .game-header {
@@ -795,11 +1382,19 @@ input[type=text]::placeholder { color: var(--muted); opacity: .7; }
 .bird-pip   { width:22px; height:22px; object-fit:cover; border-radius:50%; flex-shrink:0; }
 .bird-pip.big { width:28px; height:28px; }
 .deck-info  { font-size: .74rem; color: var(--muted); white-space: nowrap; }
+.spectator-info { font-size: .72rem; color: var(--teal2); font-weight: 700; white-space: nowrap; }
+.series-info { font-size: .72rem; color: #7a4800; font-weight: 700; white-space: nowrap; overflow: hidden; text-overflow: ellipsis; }
+.watch-btn {
+  background: rgba(255,255,255,.6); color: var(--ink2); border: 1.5px solid var(--border);
+  padding: 7px 14px; border-radius: 8px; cursor: pointer;
+  font-weight: 700; font-size: .83rem; font-family: 'Nunito', sans-serif; white-space: nowrap;
+}
+.watch-btn:hover { border-color: var(--amber); color: var(--ink); }
 
 /* ── PLAYERS BAR ── */
 .players-bar { width: 100%; max-width: 1000px; display: flex; gap: 6px; margin-bottom: 10px; flex-wrap: wrap; }
 .player-chip {
-  flex: 1; min-width: 100px;
+  position: relative; flex: 1; min-width: 100px;
   background: var(--panel); border: 1.5px solid var(--border2);
   border-radius: 10px; padding: 8px 10px;
   box-shadow: 0 1px 4px rgba(100,60,20,.06);
@@ -810,6 +1405,9 @@ input[type=text]::placeholder { color: var(--muted); opacity: .7; }
 .ppts    { font-family: 'Fraunces', serif; font-size: 1.2rem; font-weight: 900; color: var(--amber); }
 .plilies { font-size: .67rem; margin-top: 2px; color: var(--muted); }
 .pbet    { font-size: .65rem; color: var(--teal2); margin-top: 2px; font-weight: 600; }
+.pstandin { font-size: .62rem; color: #185888; margin-top: 2px; font-weight: 700; font-style: italic; }
+.pbot    { display: inline-block; margin-left: 4px; padding: 0 5px; border-radius: 5px; font-size: .55rem; font-weight: 700; vertical-align: middle;
+           background: #e0f0f8; color: #185888; border: 1px solid #80c0e0; }
 
 /* ── TABLE ── */
 .table-area  { width: 100%; max-width: 100%; margin-bottom: 10px; }
@@ -888,6 +1486,15 @@ input[type=text]::placeholder { color: var(--muted); opacity: .7; }
 .card-result-label.win    { background: var(--gold); color: #3a2000; }
 .card-result-label.nobody { background: rgba(100,80,60,.15); color: var(--muted); border: 1px solid var(--border); }
 
+/* Who bet on a card (replay and reveal) */
+.card-bets { display: flex; gap: 3px; flex-wrap: wrap; padding: 5px 8px 7px; background: #fffcf6; }
+.bet-chip {
+  font-size: .6rem; font-weight: 700; padding: 1px 7px; border-radius: 10px;
+  background: #e8f5f3; color: var(--teal2); border: 1px solid #a8dcd6;
+  max-width: 100%; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;
+}
+.cap-card.nobody .bet-chip { background: #fde8e0; color: #8a2010; border-color: #e8a090; }
+
 /* ── STATUS BAR ── */
 .status-bar {
   width: 100%; max-width: 1000px;
@@ -902,6 +1509,15 @@ input[type=text]::placeholder { color: var(--muted); opacity: .7; }
 .phase-GAME_OVER { background: #fde8e0; color: #8a2010; border: 1px solid #e8a090; }
 .status-text { font-size: .86rem; color: var(--ink2); flex: 1; }
 .bet-count   { font-size: .76rem; color: var(--muted); margin-left: auto; font-weight: 600; }
+.bet-clock { position: relative; width: 34px; height: 34px; flex-shrink: 0; }
+.bet-clock svg { width: 100%; height: 100%; transform: rotate(-90deg); }
+.bet-clock circle { fill: none; stroke-width: 3.5; }
+.bet-clock .ring-bg { stroke: var(--border2); }
+.bet-clock .ring { stroke: #5a9a3a; stroke-linecap: round; transition: stroke-dashoffset .25s linear, stroke .3s; }
+.bet-clock.urgent .ring { stroke: #c0401c; }
+.bet-clock-num { position: absolute; inset: 0; display: flex; align-items: center; justify-content: center;
+  font-size: .72rem; font-weight: 700; color: var(--ink2); }
+.bet-clock.urgent .bet-clock-num { color: #c0401c; }
 
 /* ── MY SCORED ── */
 .my-area { width: 100%; max-width: 1000px; padding-bottom: 20px; }
@@ -952,6 +1568,25 @@ input[type=text]::placeholder { color: var(--muted); opacity: .7; }
 .score-name   { font-weight: 700; color: var(--ink); }
 .score-pts    { font-family: 'Fraunces', serif; font-size: 1.1rem; font-weight: 900; color: var(--amber); white-space: nowrap; }
 .score-detail { font-size: .74rem; color: var(--muted); }
+.tie-note { font-size: .78rem; color: var(--muted); text-align: center; margin-top: 8px; }
+.tie-note:empty { display: none; }
+.series-board { margin-top: 14px; padding-top: 12px; border-top: 1px solid var(--border2); }
+.series-board:empty { display: none; }
+.series-board h3 { font-family: 'Fraunces', serif; font-size: .95rem; color: var(--ink); text-align: center; margin-bottom: 8px; }
+.series-board table { width: 100%; border-collapse: collapse; font-size: .82rem; }
+.series-board th { text-align: left; font-size: .66rem; color: var(--muted); text-transform: uppercase; letter-spacing: .05em; padding: 3px 6px; }
+.series-board td { padding: 4px 6px; color: var(--ink2); border-top: 1px solid var(--border2); }
+.series-board tr.lead td { font-weight: 700; color: var(--ink); }
+.game-report { margin-top: 14px; padding-top: 12px; border-top: 1px solid var(--border2); }
+.game-report:empty { display: none; }
+.game-report summary { cursor: pointer; font-family: 'Fraunces', serif; font-weight: 700; font-size: .95rem; color: var(--ink); text-align: center; }
+.game-report h4 { font-size: .7rem; color: var(--muted); text-transform: uppercase; letter-spacing: .06em; margin: 14px 0 6px; }
+.game-report ul { list-style: none; font-size: .8rem; color: var(--ink2); line-height: 1.6; }
+.game-report svg { width: 100%; height: auto; background: #fffef9; border: 1px solid var(--border2); border-radius: 8px; }
+.report-legend { display: flex; gap: 10px; flex-wrap: wrap; font-size: .72rem; color: var(--ink2); margin-top: 4px; }
+.report-legend span::before { content: ''; display: inline-block; width: 10px; height: 3px; margin-right: 4px; vertical-align: middle; background: var(--c); }
+.rematch-info { font-size: .78rem; color: var(--muted); text-align: center; margin-top: 10px; }
+.rematch-info:empty { display: none; }
 .winner-badge { background: var(--gold); color: #3a2000; padding: 2px 9px; border-radius: 8px; font-size: .7rem; font-weight: 700; }
 .modal-actions { display: flex; gap: 10px; margin-top: 24px; }
 
@@ -1006,6 +1641,15 @@ input[type=text]::placeholder { color: var(--muted); opacity: .7; }
   animation: slideDown .2s ease;
 }
 .rules-body.open { display: block; }
+.history-body { display: none; border-top: 1px solid var(--border2); max-height: 220px; overflow-y: auto; }
+.history-body.open { display: block; }
+.history-table { width: 100%; border-collapse: collapse; font-size: .76rem; }
+.history-table th { position: sticky; top: 0; background: var(--panel); text-align: left; font-size: .66rem; color: var(--muted);
+  text-transform: uppercase; letter-spacing: .04em; padding: 6px 10px; border-bottom: 1px solid var(--border2); white-space: nowrap; }
+.history-table td { padding: 4px 10px; border-bottom: 1px solid var(--border2); color: var(--ink2); white-space: nowrap; }
+.history-table td.won   { color: #1e5a1e; font-weight: 700; }
+.history-table td.clash { color: #8a2010; }
+.history-empty { padding: 10px 18px; font-size: .8rem; color: var(--muted); }
 @keyframes slideDown { from { opacity:0; transform:translateY(-6px); } to { opacity:1; transform:translateY(0); } }
 .rules-body h3 {
   font-family: 'Fraunces', serif; font-size: 1rem; font-weight: 700;
@@ -1022,6 +1666,43 @@ input[type=text]::placeholder { color: var(--muted); opacity: .7; }
 .rules-body .rule-tag.green { background: #e8f5e0; color: #1e5a1e; border-color: #b0d890; }
 .rules-body .rule-tag.blue  { background: #e0f0f8; color: #185888; border-color: #80c0e0; }
 
+/* ── CHAT ── */
+.chat-panel {
+  position: fixed; right: 16px; bottom: 16px; width: 300px; z-index: 150;
+  background: var(--panel); border: 1.5px solid var(--border2); border-radius: 12px;
+  box-shadow: 0 4px 20px rgba(100,60,20,.18); overflow: hidden;
+}
+.chat-toggle {
+  width: 100%; display: flex; align-items: center; gap: 8px; padding: 10px 14px;
+  background: none; border: none; cursor: pointer; font-family: 'Fraunces', serif; font-size: .9rem; font-weight: 700; color: var(--ink);
+}
+.chat-toggle .chevron { margin-left: auto; font-size: .7rem; color: var(--amber); transition: transform .25s; }
+.chat-panel.open .chat-toggle .chevron { transform: rotate(180deg); }
+.chat-unread { background: var(--amber); color: #fff; border-radius: 10px; padding: 0 7px; font-size: .68rem; font-family: 'Nunito', sans-serif; }
+.chat-unread:empty { display: none; }
+.chat-body { display: none; border-top: 1px solid var(--border2); padding: 8px 10px 10px; }
+.chat-panel.open .chat-body { display: block; }
+.chat-log { height: 180px; overflow-y: auto; font-size: .8rem; color: var(--ink2); line-height: 1.45; margin-bottom: 8px; }
+.chat-line { margin-bottom: 3px; word-wrap: break-word; }
+.chat-line strong { color: var(--ink); }
+.chat-line.me strong { color: var(--amber); }
+.chat-empty { color: var(--muted); font-style: italic; }
+.emote-row { display: flex; gap: 4px; flex-wrap: wrap; margin-bottom: 8px; }
+.emote-btn { background: #fffef9; border: 1.5px solid var(--border2); border-radius: 8px; cursor: pointer; font-size: 1rem; padding: 2px 6px; }
+.emote-btn:hover { border-color: var(--amber); }
+.chat-form { display: flex; gap: 6px; }
+.chat-form input { flex: 1; min-width: 0; padding: 7px 10px; border-radius: 8px; border: 1.5px solid var(--border); font-size: .82rem; }
+.emote-bubble {
+  position: absolute; top: -16px; right: -4px; z-index: 5; pointer-events: none;
+  background: #fffef9; border: 1.5px solid var(--gold); border-radius: 14px; padding: 1px 7px;
+  font-size: 1.1rem; box-shadow: 0 2px 8px rgba(100,60,20,.2);
+  animation: emote-pop 3s ease forwards;
+}
+@keyframes emote-pop {
+  0% { transform: scale(.3); opacity: 0; } 10% { transform: scale(1.15); opacity: 1; }
+  20% { transform: scale(1); } 80% { opacity: 1; } 100% { opacity: 0; transform: translateY(-6px); }
+}
+
 /* ── NOTIFICATION ── */
 #notif {
   position: fixed; top: 20px; right: 20px;
@@ -1042,6 +1723,7 @@ input[type=text]::placeholder { color: var(--muted); opacity: .7; }
   .bird-pip.big   { width:18px; height:18px; }
   .bird-token     { font-size: .6rem; padding: 2px 5px; gap: 3px; }
   .deck-info      { display: none; }
+  .chat-panel     { right: 8px; left: 8px; bottom: 8px; width: auto; }
 }
 </style>
 </head>
@@ -1058,6 +1740,14 @@ input[type=text]::placeholder { color: var(--muted); opacity: .7; }
       <h2 style="text-align:left">Como te chamas?</h2>
       <input type="text" id="inp-name" placeholder="O teu nome..." maxlength="20" autocomplete="off">
       <button class="btn btn-primary" id="btn-go">Entrar no jogo</button>
+      <div class="account-area">
+        <p>Tens conta? Usa o teu nome e PIN para guardar as tuas estatísticas.</p>
+        <input type="password" id="inp-pin" placeholder="PIN ou frase-passe..." maxlength="64" autocomplete="current-password">
+        <div style="display:flex;gap:10px">
+          <button class="btn btn-outline btn-sm" id="btn-login" style="flex:1">Entrar na conta</button>
+          <button class="btn btn-outline btn-sm" id="btn-register" style="flex:1">Criar conta</button>
+        </div>
+      </div>
     </div>
     <div class="video-wrap" id="video-wrap" onclick="playRulesVideo()">
       <video id="rules-video" preload="none" controls style="display:none"></video>
@@ -1074,14 +1764,50 @@ input[type=text]::placeholder { color: var(--muted); opacity: .7; }
     <div style="text-align:center;margin-bottom:24px">
       <div class="game-logo" style="font-size:2.2rem">Capi<span>varas</span></div>
     </div>
+    <div class="account-bar" id="account-bar"></div>
     <h2>Escolhe uma mesa</h2>
     <div class="lobby-grid" id="lobby-list"></div>
-    <div style="margin-top:18px">
+    <div class="lobby-tools">
+      <h3>Criar mesa</h3>
+      <input type="text" id="inp-table-name" placeholder="Nome da mesa..." maxlength="24" autocomplete="off">
+      <div class="tool-row">
+        <label>Lugares <select id="sel-seats"><option>2</option><option>3</option><option>4</option><option>5</option><option selected>6</option></select></label>
+        <label><input type="checkbox" id="chk-private"> Privada (com código)</label>
+        <button class="btn btn-primary btn-sm" id="btn-create" style="width:auto;margin-left:auto">Criar mesa</button>
+      </div>
+      <h3>Entrar com código</h3>
+      <div class="tool-row">
+        <input type="text" id="inp-code" placeholder="Código" maxlength="5" autocomplete="off">
+        <button class="btn btn-outline btn-sm" id="btn-join-code">Entrar</button>
+        <button class="btn btn-outline btn-sm" id="btn-watch-code">Ver jogo</button>
+      </div>
+    </div>
+    <div style="margin-top:4px;display:flex;gap:8px">
       <button class="btn btn-outline btn-sm" id="btn-back-name">← Mudar nome</button>
+      <button class="btn btn-outline btn-sm" id="btn-ranking">Ranking</button>
     </div>
   </div>
 </div>
 
+<!-- PROFILE -->
+<div class="screen" id="screen-profile">
+  <div class="card-box">
+    <h2 id="profile-name">Perfil</h2>
+    <div class="stat-grid" id="profile-stats"></div>
+    <button class="btn btn-outline btn-sm" id="btn-profile-back">← Voltar</button>
+  </div>
+</div>
+
+<!-- LEADERBOARD -->
+<div class="screen" id="screen-ranking">
+  <div class="card-box">
+    <h2>Ranking</h2>
+    <p style="font-size:.78rem;color:var(--muted);margin-bottom:12px">Classificação ELO dos jogos multijogador completos. Só contam jogadores com conta.</p>
+    <div id="ranking-list"></div>
+    <button class="btn btn-outline btn-sm" id="btn-ranking-back">← Voltar</button>
+  </div>
+</div>
+
 <!-- WAIT -->
 <div class="screen" id="screen-wait">
   <div class="card-box">
@@ -1089,12 +1815,35 @@ input[type=text]::placeholder { color: var(--muted); opacity: .7; }
       <div class="game-logo" style="font-size:2rem">Capi<span>varas</span></div>
     </div>
     <h2 id="wait-title">A aguardar jogadores...</h2>
+    <div class="wait-code" id="wait-code" style="display:none"></div>
     <div class="wait-players" id="wait-players"></div>
+    <div class="wait-locked" id="wait-locked" style="display:none">Mesa trancada</div>
+    <div class="wait-countdown" id="wait-countdown" style="display:none"></div>
+    <div class="wait-rules" id="wait-rules"></div>
     <div id="wait-host-area" style="display:none">
+      <div class="rules-form" id="rules-form">
+        <label>Token do pássaro <input type="number" data-rule="birdBonus" min="0" max="20"></label>
+        <label>Quatro nenúfares <input type="number" data-rule="lilyBonus" min="0" max="30"></label>
+        <label>Passagens do baralho <select data-rule="passes"><option value="1">1</option><option value="2">2</option><option value="3">3</option></select></label>
+        <label>Termina aos (0 = sem alvo) <input type="number" data-rule="targetScore" min="0" max="150"></label>
+        <label>Carta disputada <select data-rule="collision"><option value="nobody">Ninguém ganha</option><option value="underdog">Quem tem menos pontos</option></select></label>
+        <label>Revelação (segundos) <input type="number" data-rule="revealSecs" min="2" max="15"></label>
+        <label>Série <select data-rule="series"><option value="1">Jogo único</option><option value="3">Melhor de 3</option><option value="5">Melhor de 5</option><option value="7">Melhor de 7</option></select></label>
+        <label>Tempo para apostar <select data-rule="betSecs"><option value="0">Sem limite</option><option value="15">15 s</option><option value="30">30 s</option><option value="45">45 s</option><option value="60">60 s</option><option value="90">90 s</option></select></label>
+        <label>Baralho <select data-rule="deck" id="sel-deck"></select></label>
+        <div class="deck-mix" id="deck-mix" style="display:none">Expansões</div>
+      </div>
+      <div class="bot-row">
+        <select id="sel-bot-level"><option value="easy">IA Fácil</option><option value="normal" selected>IA Normal</option><option value="hard">IA Difícil</option></select>
+        <button class="btn btn-outline btn-sm" id="btn-add-bot">+ Adicionar IA</button>
+      </div>
+      <label class="wait-option"><input type="checkbox" id="chk-takeover"> Se alguém sair a meio, uma IA continua a jogar por essa pessoa</label>
+      <label class="wait-option"><input type="checkbox" id="chk-lock"> Trancar a mesa — mais ninguém pode entrar</label>
       <button class="btn btn-primary" id="btn-start" disabled>Iniciar Jogo</button>
     </div>
     <div id="wait-guest-msg" style="display:none;color:var(--muted);font-size:.88rem;text-align:center;padding:8px 0">
-      Aguarda que o anfitriao inicie o jogo...
+      <button class="btn btn-primary" id="btn-ready" style="margin-bottom:10px">Estou pronto</button>
+      <div>Aguarda que o anfitriao inicie o jogo...</div>
     </div>
     <div style="margin-top:16px">
       <button class="btn btn-outline btn-sm" id="btn-leave-wait">← Sair da mesa</button>
@@ -1109,6 +1858,8 @@ input[type=text]::placeholder { color: var(--muted); opacity: .7; }
       <div class="header-title">Capivaras</div>
       <div class="bird-token" id="bird-token-display">Passaro — sem detentor</div>
     </div>
+    <div class="spectator-info" id="spectator-info"></div>
+    <div class="series-info" id="series-info"></div>
     <div class="deck-info" id="deck-info">—</div>
     <button class="btn btn-outline btn-sm" id="btn-leave-game">Sair</button>
   </div>
@@ -1121,12 +1872,25 @@ input[type=text]::placeholder { color: var(--muted); opacity: .7; }
     <span class="phase-badge" id="phase-badge">—</span>
     <span class="status-text" id="status-text">—</span>
     <span class="bet-count"   id="bet-count"></span>
+    <span class="bet-clock" id="bet-clock" style="display:none" title="Tempo para apostar">
+      <svg viewBox="0 0 36 36"><circle class="ring-bg" cx="18" cy="18" r="15.9"/><circle class="ring" id="bet-clock-ring" cx="18" cy="18" r="15.9" stroke-dasharray="100 100"/></svg>
+      <span class="bet-clock-num" id="bet-clock-num"></span>
+    </span>
   </div>
-  <div class="my-area">
+  <div class="my-area" id="my-area">
     <div class="my-area-label">As tuas capivaras</div>
     <div class="my-scored" id="my-scored"></div>
   </div>
 
+  <!-- BET HISTORY -->
+  <div class="rules-panel">
+    <button class="rules-toggle" id="history-toggle" onclick="toggleHistory()">
+      <span>Histórico de apostas</span>
+      <span class="chevron">▼</span>
+    </button>
+    <div class="history-body" id="history-body"></div>
+  </div>
+
   <!-- RULES PANEL -->
   <div class="rules-panel">
     <button class="rules-toggle" id="rules-toggle" onclick="toggleRules()">
@@ -1135,6 +1899,9 @@ input[type=text]::placeholder { color: var(--muted); opacity: .7; }
     </button>
     <div class="rules-body" id="rules-body">
 
+      <h3>Regras desta mesa</h3>
+      <ul id="table-rules"></ul>
+
       <h3>O Pantanal acorda...</h3>
       <p>No coração húmido do Pantanal, uma colónia de capivaras relaxa ao sol. Chegaram os humanos — cada um quer dar festinhas nas suas favoritas. Mas as capivaras são tímidas: se dois humanos se aproximarem ao mesmo tempo, fogem imediatamente. Só o jogador que chegar <em>sozinho</em> ganha a sua capivara.</p>
 
@@ -1170,32 +1937,103 @@ input[type=text]::placeholder { color: var(--muted); opacity: .7; }
     </div>
   </div>
 </div>
+<!-- OFFLINE -->
+<div class="screen" id="screen-offline">
+  <div class="card-box" style="max-width:460px">
+    <div style="text-align:center;margin-bottom:20px">
+      <div class="game-logo" style="font-size:2.2rem">Capi<span>varas</span></div>
+    </div>
+    <h2>Sem ligação ao servidor</h2>
+    <p class="offline-note">Não foi possível ligar ao servidor. Continuamos a tentar; entretanto podes jogar sozinho contra IAs neste dispositivo.</p>
+    <div class="tool-row">
+      <label>IAs <select id="sel-offline-bots"></select></label>
+      <label>Dificuldade <select id="sel-offline-level"></select></label>
+    </div>
+    <button class="btn btn-primary" id="btn-offline-play">Jogar offline</button>
+    <div style="margin-top:10px"><button class="btn btn-outline btn-sm" id="btn-offline-retry">Tentar de novo</button></div>
+  </div>
+</div>
+
+<!-- REPLAY -->
+<div class="screen" id="screen-replay">
+  <div class="game-header">
+    <div class="header-left">
+      <div class="header-title">Repeti<span>ção</span></div>
+      <div class="deck-info" id="replay-info">—</div>
+    </div>
+    <button class="btn btn-outline btn-sm" id="btn-replay-close">Fechar</button>
+  </div>
+  <div class="players-bar" id="replay-players"></div>
+  <div class="table-area">
+    <div class="table-cards" id="replay-cards"></div>
+  </div>
+  <div class="status-bar">
+    <button class="btn btn-outline btn-sm" id="btn-replay-prev">← Anterior</button>
+    <span class="status-text" id="replay-text" style="text-align:center">—</span>
+    <button class="btn btn-outline btn-sm" id="btn-replay-next">Seguinte →</button>
+  </div>
+</div>
+
+<!-- CHAT (shown over screen-wait and screen-game) -->
+<div class="chat-panel" id="chat-panel" style="display:none">
+  <button class="chat-toggle" id="chat-toggle"><span>Conversa</span><span class="chat-unread" id="chat-unread"></span><span class="chevron">▲</span></button>
+  <div class="chat-body">
+    <div class="chat-log" id="chat-log"></div>
+    <div class="emote-row" id="emote-row"></div>
+    <form class="chat-form" id="chat-form">
+      <input type="text" id="chat-input" maxlength="200" placeholder="Escreve uma mensagem..." autocomplete="off">
+      <button class="btn btn-primary btn-sm" type="submit">Enviar</button>
+    </form>
+  </div>
+</div>
+
 <!-- GAME OVER -->
 <div class="overlay" id="overlay-gameover">
   <div class="modal">
-    <h2>Fim do Jogo</h2>
+    <h2 id="gameover-title">Fim do Jogo</h2>
     <div id="final-scores"></div>
+    <div class="tie-note" id="tie-note"></div>
+    <div class="series-board" id="series-board"></div>
+    <div class="game-report" id="game-report"></div>
+    <div class="rematch-info" id="rematch-info"></div>
     <div class="modal-actions">
+      <button class="btn btn-primary" id="btn-rematch" style="display:none">Revanche</button>
       <button class="btn btn-primary" id="btn-restart" style="display:none">Jogar Novamente</button>
+      <button class="btn btn-outline"  id="btn-replay">Repetição</button>
       <button class="btn btn-outline"  id="btn-goto-lobby">Voltar ao Lobby</button>
     </div>
   </div>
 </div>
 
+<script src="/engine.js"></script>
 <script>
 let ws,myName='',myToken='',myLobbySeat=-1,myLobbyId='',isSolo=false;
-let state=null,myGameSeat=-1,isHost=false,waitLobby=null;
+let state=null,myGameSeat=-1,isHost=false,waitLobby=null,waitNames=[],isSpectator=false;
+let offline=null; // { g } while a solo game runs in this browser, see OFFLINE SOLO
+let myAccount='';
 let reconnectAttempts=0,reconnectTimer=null;
+// Invite links look like /?mesa=CODE — joined as soon as we have a name and a socket
+let pendingCode=(new URLSearchParams(location.search).get('mesa')||'').trim().toUpperCase();
 
 const LL = { Y:'Amarelo', R:'Vermelho', W:'Branco', B:'Azul' };
 const LI = { Y:'lily-Y', R:'lily-R', W:'lily-W', B:'lily-B' };
 const LE = { Y:'●', R:'●', W:'●', B:'●' };
 const LC = { Y:'#e8a820', R:'#d85030', W:'#8898a8', B:'#4898c8' };
+const BOT_LL = { easy:'Fácil', normal:'Normal', hard:'Difícil' };
+// Decks and expansions loaded from the server's deck files, cards included
+const DECKS = ${JSON.stringify(DECKS)};
+let soloLevel='normal',soloBots=2;
 
-function showScreen(id){ document.querySelectorAll('.screen').forEach(s=>s.classList.remove('active')); document.getElementById(id).classList.add('active'); }
+function showScreen(id){ document.querySelectorAll('.screen').forEach(s=>s.classList.remove('active')); document.getElementById(id).classList.add('active'); syncChatPanel(); }
 function openOverlay(id){ document.getElementById(id).classList.add('active'); }
 function closeOverlay(id){ document.getElementById(id).classList.remove('active'); }
-function send(msg){ if(ws&&ws.readyState===1) ws.send(JSON.stringify(msg)); }
+// Messages about the connection and the account, not the table: they go to the
+// server even while an offline game has the table
+const SOCKET_MSGS=['PING','AUTH','RECONNECT','LOBBIES','REGISTER','LOGIN','LOGOUT'];
+function send(msg){
+  if(offline&&!SOCKET_MSGS.includes(msg.type)){ offlineAction(msg); return; }
+  if(ws&&ws.readyState===1) ws.send(JSON.stringify(msg));
+}
 function esc(s){ return String(s).replace(/&/g,'&amp;').replace(/</g,'&lt;').replace(/>/g,'&gt;'); }
 let _nt;
 function notif(t,d=3200){ const e=document.getElementById('notif'); e.textContent=t; e.classList.add('show'); clearTimeout(_nt); _nt=setTimeout(()=>e.classList.remove('show'),d); }
@@ -1208,6 +2046,131 @@ function cardArtHTML(card){
   '</div>';
 }
 
+// Card face shared by the table and the replay: art, A/B/C badge and info strip
+function cardFaceHTML(card,pos){
+  const lilyB=card.lilies.map(l=>'<span class="lily '+LI[l]+'">'+LL[l]+'</span>').join('');
+  const birdB=card.bird?'<span class="lily lily-bird">Passaro</span>':'';
+  const capWord=card.cap===1?'capivara':'capivaras';
+  return cardArtHTML(card)+
+    '<div class="card-pos-badge">'+String.fromCharCode(64+pos+1)+'</div>'+
+    '<div class="card-info">'+
+      '<div class="card-caps-count">'+card.cap+' '+capWord+'</div>'+
+      '<div class="card-badges">'+lilyB+birdB+'</div>'+
+    '</div>';
+}
+
+// Name chips of everyone who bet on card pos
+function betChipsHTML(bets,pos,players){
+  const who=bets.map((b,seat)=>b===pos?seat:-1).filter(seat=>seat>=0);
+  return '<div class="card-bets">'+(who.map(seat=>'<span class="bet-chip">'+esc(players[seat].name)+'</span>').join('')||'&nbsp;')+'</div>';
+}
+
+// One-line summary of a resolved round (bird token news takes precedence)
+function roundText(res){
+  const bu=res&&res.birdUpdate;
+  if(bu){
+    if(bu.type==='first') return bu.name+' recebeu o token do pássaro!';
+    if(bu.type==='steal') return bu.name+' destronou '+bu.fromName+' e ficou com o token!';
+    if(bu.type==='tie_first') return 'Empate! Ninguém ficou com o token do pássaro.';
+    if(bu.type==='tie_steal') return 'Empate! O token do pássaro mantém-se com o detentor atual.';
+  }
+  const w=Object.keys((res&&res.winners)||{}).length;
+  return w>0?w+' carta'+(w!==1?'s':'')+' recolhida'+(w!==1?'s':'')+'!':'Ninguem ganhou — todos empataram!';
+}
+
+// ── CHAT ─────────────────────────────────────────────────────────────────────
+// Chat text arrives HTML-escaped from the server; names are escaped here
+const EMOTE_ICONS={orange:['🍊','Laranja na cabeça'],mate:['🧉','Relaxa...'],flee:['💨','Fugiram!'],bird:['🐦','O pássaro é meu'],
+  lily:['🪷','Nenúfares!'],zzz:['💤','Zzz'],cool:['😎','Capivara zen'],oops:['🙈','Ups']};
+let chatLog=[],chatOpen=false,chatUnread=0;
+const emotesShown={}; // 'w'+lobbySeat / 'g'+gameSeat -> {emote,until}
+
+function syncChatPanel(){
+  const scr=document.querySelector('.screen.active');
+  const show=!!scr&&(scr.id==='screen-game'||scr.id==='screen-wait')&&!isSolo;
+  document.getElementById('chat-panel').style.display=show?'':'none';
+  document.getElementById('chat-form').style.display=isSpectator?'none':'';
+  document.getElementById('emote-row').style.display=isSpectator?'none':'';
+}
+
+function renderChat(){
+  const log=document.getElementById('chat-log');
+  log.innerHTML=chatLog.length?chatLog.map(e=>
+    '<div class="chat-line'+(e.seat===myLobbySeat&&!isSpectator?' me':'')+'"><strong>'+esc(e.name)+':</strong> '+e.text+'</div>').join('')
+    :'<div class="chat-empty">Ainda ninguém disse nada.</div>';
+  log.scrollTop=log.scrollHeight;
+  document.getElementById('chat-unread').textContent=chatUnread||'';
+}
+
+function toggleChat(){
+  chatOpen=!chatOpen; if(chatOpen) chatUnread=0;
+  document.getElementById('chat-panel').classList.toggle('open',chatOpen);
+  renderChat();
+  if(chatOpen&&!isSpectator) document.getElementById('chat-input').focus();
+}
+
+function addEmoteBubble(el,key){
+  const em=emotesShown[key]; if(!el||!em||em.until<Date.now()) return;
+  const b=document.createElement('div'); b.className='emote-bubble'; b.textContent=EMOTE_ICONS[em.emote][0];
+  b.style.animationDelay=-(3000-(em.until-Date.now()))+'ms';
+  el.appendChild(b); setTimeout(()=>b.remove(),em.until-Date.now());
+}
+
+function showEmote(msg){
+  if(!EMOTE_ICONS[msg.emote]) return;
+  const until=Date.now()+3000;
+  emotesShown['w'+msg.seat]={emote:msg.emote,until};
+  if(msg.gameSeat>=0) emotesShown['g'+msg.gameSeat]={emote:msg.emote,until};
+  if(document.getElementById('screen-wait').classList.contains('active')) renderWaitRoom({});
+  else if(msg.gameSeat>=0) addEmoteBubble(document.querySelectorAll('#players-bar .player-chip')[msg.gameSeat],'g'+msg.gameSeat);
+}
+
+// ── READY CHECK ──────────────────────────────────────────────────────────────
+// Host-forced start countdown, from the server's forceMsLeft
+let forceDeadline=0;
+function tickForceStart(){
+  const el=document.getElementById('wait-countdown');
+  if(!forceDeadline){ el.style.display='none'; return; }
+  const secs=Math.ceil(Math.max(0,forceDeadline-Date.now())/1000);
+  el.style.display='';
+  el.textContent='O anfitrião vai começar o jogo em '+secs+' s'+(isHost?'':' — diz que estás pronto!');
+}
+setInterval(tickForceStart,250);
+
+// ── BETTING CLOCK ────────────────────────────────────────────────────────────
+// Local deadline from the server's betMsLeft; the ring drains as it nears
+let betDeadline=0;
+function tickBetClock(){
+  const el=document.getElementById('bet-clock');
+  if(!state||state.phase!=='BETTING'||!betDeadline||!state.rules.betSecs){ el.style.display='none'; return; }
+  const left=Math.max(0,betDeadline-Date.now());
+  el.style.display='';
+  el.classList.toggle('urgent',left<5000);
+  document.getElementById('bet-clock-ring').style.strokeDashoffset=100-100*left/(state.rules.betSecs*1000);
+  document.getElementById('bet-clock-num').textContent=Math.ceil(left/1000);
+}
+setInterval(tickBetClock,250);
+
+function deckText(r){
+  const name=id=>DECKS[id]?DECKS[id].name:id;
+  return name(r.deck)+(r.expansions.length?' + '+r.expansions.map(name).join(', '):'');
+}
+
+// Human-readable lines for a table's house rules
+function rulesText(r){
+  return [
+    'Token do pássaro: +'+r.birdBonus+' pontos',
+    'Quatro nenúfares: +'+r.lilyBonus+' pontos',
+    deckText(r),
+    'Baralho jogado '+(r.passes===1?'uma vez':r.passes+' vezes'),
+    r.targetScore?'Termina quando alguém chega aos '+r.targetScore+' pontos':'Sem pontuação-alvo',
+    r.collision==='underdog'?'Carta disputada: fica para quem tem menos pontos':'Carta disputada: ninguém ganha',
+    'Revelação de '+r.revealSecs+' segundos',
+    r.betSecs?r.betSecs+' segundos para apostar, depois a IA escolhe':'Sem limite de tempo para apostar',
+    r.series>1?'Série à melhor de '+r.series+' jogos':'Jogo único',
+  ];
+}
+
 // ── AUDIO ENGINE ─────────────────────────────────────────────────────────────
 let _actx = null;
 function getCtx(){ if(!_actx) _actx = new (window.AudioContext||window.webkitAudioContext)(); if(_actx.state==='suspended') _actx.resume(); return _actx; }
@@ -1299,39 +2262,78 @@ function capImgErr(img){ img.style.display='none'; img.nextElementSibling.classL
 
 function connect(){
   const proto=location.protocol==='https:'?'wss://':'ws://';
+  let opened=false;
   ws=new WebSocket(proto+location.host);
-  ws.onopen=()=>{ reconnectAttempts=0; const t=sessionStorage.getItem('cap_token'); if(t) send({type:'RECONNECT',token:t}); else send({type:'LOBBIES'}); };
+  ws.onopen=()=>{ opened=true; reconnectAttempts=0; const acc=localStorage.getItem('cap_account'); if(acc) send({type:'AUTH',token:acc}); const t=sessionStorage.getItem('cap_token'); if(t) send({type:'RECONNECT',token:t}); else send({type:'LOBBIES'}); };
   ws.onmessage=e=>{ try{ handleMsg(JSON.parse(e.data)); }catch{} };
-  ws.onclose=()=>scheduleReconnect();
+  ws.onclose=()=>{ if(!opened) serverUnreachable(); scheduleReconnect(); };
   ws.onerror=()=>{};
 }
+// A socket that never opened: no server. From the lobby, offer the offline screen
+// (it keeps retrying behind it, and LOBBIES brings the lobby back once one opens)
+function serverUnreachable(){
+  if(!offline&&myName&&document.getElementById('screen-lobby').classList.contains('active')) showOfflineScreen();
+}
 function scheduleReconnect(){ clearTimeout(reconnectTimer); const d=Math.min(500*Math.pow(1.5,reconnectAttempts),12000); reconnectAttempts++; reconnectTimer=setTimeout(connect,d); }
 document.addEventListener('visibilitychange',()=>{ if(document.visibilityState==='visible'&&(!ws||ws.readyState>1)){ reconnectAttempts=0; connect(); } });
+window.addEventListener('online',()=>{ if(!ws||ws.readyState>1){ clearTimeout(reconnectTimer); reconnectAttempts=0; connect(); } });
 setInterval(()=>send({type:'PING'}),15000);
 
 function handleMsg(msg){
   switch(msg.type){
     case 'PONG': break;
-    case 'LOBBIES': renderLobbyList(msg.lobbies); break;
+    case 'LOBBIES':
+      if(isSpectator){ isSpectator=false; state=null; closeOverlay('overlay-gameover'); }
+      renderLobbyList(msg.lobbies);
+      if(pendingCode&&myName){ send({type:'JOIN_LOBBY',code:pendingCode,playerName:myName}); pendingCode=''; history.replaceState(null,'','/'); }
+      break;
     case 'JOINED':
       myToken=msg.token; myLobbySeat=msg.seat; myLobbyId=msg.lobbyId;
-      isSolo=msg.solo; isHost=msg.seat===0; myGameSeat=msg.seat;
+      isSolo=msg.solo; isHost=msg.lobby.host===msg.seat; myGameSeat=msg.seat;
       sessionStorage.setItem('cap_token',myToken);
-      if(!isSolo){ waitLobby=msg.lobby; renderWaitRoom(msg); showScreen('screen-wait'); }
+      if(!isSolo){ waitLobby=msg.lobby; waitNames=msg.names; renderWaitRoom(msg); showScreen('screen-wait'); }
+      break;
+    case 'ACCOUNT':
+      myAccount=msg.name; myName=msg.name; localStorage.setItem('cap_account',msg.token);
+      document.getElementById('inp-pin').value='';
+      renderAccountBar();
+      if(document.getElementById('screen-name').classList.contains('active')){ showScreen('screen-lobby'); send({type:'LOBBIES'}); }
+      break;
+    case 'AUTH_FAIL': case 'LOGGED_OUT':
+      localStorage.removeItem('cap_account'); myAccount=''; renderAccountBar(); break;
+    case 'SPECTATING':
+      isSpectator=true; isHost=false; isSolo=false; myLobbySeat=-1; myGameSeat=-1; myLobbyId=msg.lobby.id;
+      notif('A ver '+msg.lobby.name); break;
+    case 'CHAT_HISTORY': chatLog=msg.chat||[]; chatUnread=0; renderChat(); break;
+    case 'CHAT':
+      chatLog.push(msg.entry); if(chatLog.length>50) chatLog.shift();
+      if(!chatOpen&&msg.entry.seat!==myLobbySeat) chatUnread++;
+      renderChat(); break;
+    case 'EMOTE': showEmote(msg); break;
+    case 'LOBBY_STATE': myLobbySeat=msg.myLobbySeat; isHost=msg.lobby.host===msg.myLobbySeat; waitLobby=msg.lobby; waitNames=msg.names; renderWaitRoom(msg); break;
+    case 'TABLE_RESET':
+      closeOverlay('overlay-gameover'); state=null;
+      // Spectators get the lobby list next; players go back to the wait room
+      if(isSpectator) notif('A mesa voltou à sala de espera.'); else showScreen('screen-wait');
       break;
-    case 'LOBBY_STATE': myLobbySeat=msg.myLobbySeat; isHost=msg.myLobbySeat===0; waitLobby=msg.lobby; renderWaitRoom(msg); break;
+    case 'HOST_CHANGED': notif(msg.seat===myLobbySeat&&!isSpectator?'Agora és o anfitrião da mesa.':msg.name+' é agora o anfitrião.'); break;
+    case 'KICKED':
+      notif('O anfitrião tirou-te da mesa.',5000); closeOverlay('overlay-gameover');
+      sessionStorage.removeItem('cap_token'); myToken=''; state=null; isHost=false; break;
     case 'PLAYER_JOINED': waitLobby=msg.lobby; notif(msg.name+' entrou na mesa'); if(document.getElementById('screen-wait').classList.contains('active')) send({type:'REQUEST_STATE'}); break;
     case 'PLAYER_LEFT':   waitLobby=msg.lobby; notif('Um jogador saiu.'); if(document.getElementById('screen-wait').classList.contains('active')) send({type:'REQUEST_STATE'}); break;
     case 'GAME_STATE':
-      state=msg.state; myGameSeat=state.mySeat; isSolo=state.isSolo;
+      state=msg.state; myGameSeat=state.mySeat; isSolo=state.isSolo; isSpectator=state.spectator;
+      if(!isSolo) isHost=!!state.amHost;
       checkNewBets(state.betsPlaced);
       checkBirdChange(state.birdHolder);
+      betDeadline=state.betMsLeft!==null&&state.betMsLeft!==undefined?Date.now()+state.betMsLeft:0;
       closeOverlay('overlay-gameover'); showScreen('screen-game'); renderGame();
       if(state.phase==='GAME_OVER') showGameOver();
       break;
     case 'RECONNECTED':
       myToken=sessionStorage.getItem('cap_token')||''; myLobbySeat=msg.seat;
-      myGameSeat=msg.gameSeat!==undefined?msg.gameSeat:msg.seat; isSolo=msg.solo; isHost=msg.seat===0;
+      myGameSeat=msg.gameSeat!==undefined?msg.gameSeat:msg.seat; isSolo=msg.solo;
       notif('Reconectado!'); send({type:'REQUEST_STATE'}); break;
     case 'RECONNECT_FAIL': sessionStorage.removeItem('cap_token'); myToken=''; myName=''; showScreen('screen-name'); break;
     case 'OPPONENT_DISCONNECTED_GRACE': notif(msg.name+' desligou-se. '+Math.round(msg.graceMs/1000)+'s...',6000); break;
@@ -1345,19 +2347,35 @@ function handleMsg(msg){
 let _cachedLobbies = [];
 function renderLobbyList(lobbies){
   _cachedLobbies = lobbies;
-  // Only switch to lobby screen if user has already entered their name
-  if(myName) showScreen('screen-lobby');
+  // Only switch to lobby screen if user has already entered their name (and isn't playing offline)
+  if(myName&&!offline) showScreen('screen-lobby');
   const el=document.getElementById('lobby-list'); if(!el) return; el.innerHTML='';
   lobbies.forEach(l=>{
-    const full=l.full||l.playing;
-    const status=l.playing?'A jogar':(l.seated>0?l.seated+'/'+l.maxHuman+' jog.':'Vazia');
+    const full=l.full||l.playing||l.locked;
+    const watchable=l.playing&&!l.solo;
+    const occ=l.seated+(l.bots?l.bots.length:0);
+    const status=l.solo?'Privada':l.playing?'A jogar':l.locked?'Trancada':(l.seated>0?occ+'/'+l.maxHuman+' jog.':'Vazia');
     const bc=l.playing?'badge-orange':(l.seated>0?'badge-green':'badge-gray');
     const row=document.createElement('div'); row.className='lobby-row'+(full?' full':'');
     row.innerHTML='<div><div class="lobby-name">'+esc(l.name)+'</div>'+
-      '<div class="lobby-meta">'+(l.solo?'Solo contra 2 IAs':'2 a 6 jogadores')+'</div></div>'+
+      '<div class="lobby-meta">'+(l.solo?'Solo contra 1 a 5 IAs':'2 a '+l.maxHuman+' jogadores'+(l.userMade?' · criada por jogadores':''))+
+        (l.bots&&l.bots.length?' · '+l.bots.length+(l.bots.length===1?' IA':' IAs'):'')+
+        (l.spectators>0?' · '+l.spectators+' a ver':'')+'</div></div>'+
       '<div style="display:flex;gap:8px;align-items:center"><span class="badge '+bc+'">'+status+'</span>'+
+      (l.solo?'<select class="solo-bots" title="Número de IAs">'+
+        [1,2,3,4,5].map(k=>'<option value="'+k+'"'+(k===soloBots?' selected':'')+'>'+k+(k===1?' IA':' IAs')+'</option>').join('')+'</select>'+
+        '<select class="solo-level" title="Dificuldade das IAs">'+
+        Object.keys(BOT_LL).map(k=>'<option value="'+k+'"'+(k===soloLevel?' selected':'')+'>'+BOT_LL[k]+'</option>').join('')+'</select>':'')+
+      (watchable?'<button class="watch-btn">Ver</button>':'')+
+      (l.solo?'<button class="watch-btn offline-btn" title="Joga neste dispositivo, sem servidor">'+offlineLabel()+'</button>':'')+
       '<button class="join-btn"'+(full?' disabled':'')+'>Entrar</button></div>';
-    if(!full) row.querySelector('.join-btn').onclick=()=>send({type:'JOIN_LOBBY',lobbyId:l.id,playerName:myName});
+    if(!full) row.querySelector('.join-btn').onclick=()=>send({type:'JOIN_LOBBY',lobbyId:l.id,playerName:myName,difficulty:soloLevel,bots:soloBots});
+    if(l.solo){
+      row.querySelector('.solo-level').onchange=e=>{ soloLevel=e.target.value; };
+      row.querySelector('.solo-bots').onchange=e=>{ soloBots=parseInt(e.target.value); };
+      row.querySelector('.offline-btn').onclick=playOffline;
+    }
+    if(watchable) row.querySelector('.watch-btn').onclick=()=>send({type:'SPECTATE',lobbyId:l.id});
     el.appendChild(row);
   });
 }
@@ -1365,22 +2383,73 @@ function renderLobbyList(lobbies){
 function renderWaitRoom(msg){
   const lobby=msg.lobby||waitLobby; if(!lobby) return;
   document.getElementById('wait-title').textContent=lobby.name+' — A aguardar...';
+  const wc=document.getElementById('wait-code');
+  if(lobby.code){
+    const link=location.origin+'/?mesa='+lobby.code;
+    wc.innerHTML='Mesa privada — código <strong>'+esc(lobby.code)+'</strong><br>'+
+      '<a href="'+esc(link)+'" style="color:var(--amber)">'+esc(link)+'</a>';
+    wc.style.display='block';
+  } else wc.style.display='none';
   const pp=document.getElementById('wait-players'); pp.innerHTML='';
-  (lobby.names||[]).forEach((name,i)=>{
+  // Seat-aligned names (lobbyInfo's own list skips empty seats)
+  (msg.names||waitNames).forEach((name,i)=>{
     if(!name) return;
-    const d=document.createElement('div'); d.className='wait-player'+(i===myLobbySeat?' me':'');
-    d.textContent=name+(i===0?' (anfitriao)':'')+(i===myLobbySeat?' — tu':''); pp.appendChild(d);
+    const d=document.createElement('div'); d.className='wait-player'+(i===myLobbySeat?' me':'')+(i===lobby.host?' host':'');
+    d.textContent=name+(i===lobby.host?' (anfitrião)':'')+(i===myLobbySeat?' — tu':'');
+    if(i!==lobby.host){
+      const rd=!!(lobby.ready||[])[i]; if(rd) d.classList.add('ready');
+      const r=document.createElement('span'); r.className='wait-ready'; r.textContent=rd?'✓ pronto':'a preparar-se'; d.appendChild(r);
+    }
+    if(isHost&&i!==myLobbySeat){
+      const hb=document.createElement('button'); hb.className='host-btn'; hb.title='Passar anfitrião'; hb.textContent='★';
+      hb.onclick=()=>send({type:'SET_HOST',seat:i}); d.appendChild(hb);
+      const kb=document.createElement('button'); kb.className='rm-bot'; kb.title='Tirar da mesa'; kb.textContent='×';
+      kb.onclick=()=>{ if(confirm('Tirar '+name+' da mesa?')) send({type:'KICK',seat:i}); }; d.appendChild(kb);
+    }
+    addEmoteBubble(d,'w'+i); pp.appendChild(d);
   });
-  const seated=(lobby.names||[]).filter(Boolean).length;
+  document.getElementById('wait-locked').style.display=lobby.locked?'':'none';
+  if(msg.lobby) forceDeadline=lobby.forceMsLeft!==null&&lobby.forceMsLeft!==undefined?Date.now()+lobby.forceMsLeft:0;
+  tickForceStart();
+  (lobby.bots||[]).forEach((level,i)=>{
+    const d=document.createElement('div'); d.className='wait-player bot';
+    d.textContent='Bot Capivaras '+(i+1)+' · IA '+(BOT_LL[level]||'');
+    if(isHost){
+      const rm=document.createElement('button'); rm.className='rm-bot'; rm.title='Remover IA'; rm.textContent='×';
+      rm.onclick=()=>send({type:'REMOVE_BOT',index:i}); d.appendChild(rm);
+    }
+    pp.appendChild(d);
+  });
+  const seated=(lobby.names||[]).filter(Boolean).length+(lobby.bots||[]).length;
+  if(lobby.rules){
+    document.getElementById('wait-rules').textContent=rulesText(lobby.rules).join(' · ');
+    // Leave the field being edited alone
+    document.querySelectorAll('#rules-form [data-rule]').forEach(el=>{
+      if(el!==document.activeElement) el.value=lobby.rules[el.dataset.rule];
+    });
+    document.querySelectorAll('#deck-mix [data-expansion]').forEach(el=>{ el.checked=lobby.rules.expansions.includes(el.dataset.expansion); });
+  }
   if(isHost){
     document.getElementById('wait-host-area').style.display='block';
     document.getElementById('wait-guest-msg').style.display='none';
     const btn=document.getElementById('btn-start');
     btn.disabled=seated<2;
-    btn.textContent='Iniciar Jogo ('+seated+' jogador'+(seated!==1?'es':'')+')';
+    document.getElementById('btn-add-bot').disabled=seated>=lobby.maxHuman;
+    document.getElementById('chk-takeover').checked=!!lobby.takeover;
+    document.getElementById('chk-lock').checked=!!lobby.locked;
+    const others=(msg.names||waitNames).filter((n,i)=>n&&i!==lobby.host).length;
+    const readyN=(msg.names||waitNames).filter((n,i)=>n&&i!==lobby.host&&(lobby.ready||[])[i]).length;
+    btn.textContent=forceDeadline?'Cancelar início':
+      readyN===others?'Iniciar Jogo ('+seated+' jogador'+(seated!==1?'es':'')+')':
+      'Forçar início ('+readyN+'/'+others+' prontos)';
+    if(forceDeadline) btn.disabled=false;
   } else {
     document.getElementById('wait-host-area').style.display='none';
     document.getElementById('wait-guest-msg').style.display='block';
+    const meReady=!!(lobby.ready||[])[myLobbySeat];
+    const rb=document.getElementById('btn-ready');
+    rb.textContent=meReady?'Afinal ainda não':'Estou pronto';
+    rb.className='btn '+(meReady?'btn-outline':'btn-primary');
   }
 }
 
@@ -1396,6 +2465,7 @@ function renderGame(){
     const nameDiv=document.createElement('div'); nameDiv.className='pname';
     nameDiv.textContent=p.name;
     if(p.isMe){ const tu=document.createElement('span'); tu.style.cssText='color:var(--amber);font-size:.58rem'; tu.textContent=' (tu)'; nameDiv.appendChild(tu); }
+    if(p.bot&&!p.standIn){ const bt=document.createElement('span'); bt.className='pbot'; bt.textContent='IA '+(BOT_LL[p.bot]||''); nameDiv.appendChild(bt); }
     chip.appendChild(nameDiv);
 
     const ptsDiv=document.createElement('div'); ptsDiv.className='ppts';
@@ -1414,9 +2484,12 @@ function renderGame(){
     }
     chip.appendChild(lilDiv);
 
+    if(p.standIn){ const si=document.createElement('div'); si.className='pstandin'; si.textContent='IA a jogar por '+p.name; chip.appendChild(si); }
+
     const bs=state.phase==='BETTING'?(state.betsPlaced[i]?'Apostou':'A pensar...'):'';
     if(bs){ const bsDiv=document.createElement('div'); bsDiv.className='pbet'; bsDiv.textContent=bs; chip.appendChild(bsDiv); }
 
+    addEmoteBubble(chip,'g'+i);
     bar.appendChild(chip);
   });
 
@@ -1433,22 +2506,13 @@ function renderGame(){
         cls+=' won';
         extra='<div class="card-result-label win">'+esc(state.players[w[pos]].name)+'</div>';
       } else { cls+=' nobody'; extra='<div class="card-result-label nobody">Ninguem</div>'; }
+      if(state.lastResult.bets) extra+=betChipsHTML(state.lastResult.bets,pos,state.players);
     } else if(state.phase==='BETTING'&&state.myBet===pos){ cls+=' selected'; }
 
-    const lilyB=card.lilies.map(l=>'<span class="lily '+LI[l]+'">'+LL[l]+'</span>').join('');
-    const birdB=card.bird?'<span class="lily lily-bird">Passaro</span>':'';
-    const capWord=card.cap===1?'capivara':'capivaras';
-
     div.className=cls;
-    div.innerHTML=
-      cardArtHTML(card)+
-      '<div class="card-pos-badge">'+String.fromCharCode(64+pos+1)+'</div>'+
-      '<div class="card-info">'+
-        '<div class="card-caps-count">'+card.cap+' '+capWord+'</div>'+
-        '<div class="card-badges">'+lilyB+birdB+'</div>'+
-      '</div>'+extra;
-
-    if(state.phase==='BETTING'&&state.myBet===null){
+    div.innerHTML=cardFaceHTML(card,pos)+extra;
+
+    if(state.phase==='BETTING'&&state.myBet===null&&!state.spectator){
       div.onclick=()=>{ playDuck(); send({type:'BET',position:pos}); state.myBet=pos; renderGame(); };
     }
     area.appendChild(div);
@@ -1461,15 +2525,19 @@ function renderGame(){
     badge.textContent='A Apostar';
     const placed=state.betsPlaced.filter(Boolean).length;
     cnt.textContent=placed+'/'+state.n+' apostas';
-    text.textContent=state.myBet===null?'Escolhe uma carta para apostar':'Apostaste na carta '+String.fromCharCode(64+state.myBet+1)+' — a aguardar os outros...';
+    text.textContent=state.spectator?'Estás a ver — os jogadores estão a apostar...':
+      state.myBet===null?'Escolhe uma carta para apostar':'Apostaste na carta '+String.fromCharCode(64+state.myBet+1)+' — a aguardar os outros...';
   } else if(state.phase==='REVEAL'){
     badge.textContent='Revelacao'; cnt.textContent='';
-    const bu=state.lastResult&&state.lastResult.birdUpdate;
-    if(bu){if(bu.type==='first')text.textContent=bu.name+' recebeu o token do pássaro!';else if(bu.type==='steal')text.textContent=bu.name+' destronou '+bu.fromName+' e ficou com o token!';else if(bu.type==='tie_first')text.textContent='Empate! Ninguém ficou com o token do pássaro.';else if(bu.type==='tie_steal')text.textContent='Empate! O token do pássaro mantém-se com o detentor atual.';}
-    else { const w=Object.keys((state.lastResult&&state.lastResult.winners)||{}).length; text.textContent=w>0?w+' carta'+(w!==1?'s':'')+' recolhida'+(w!==1?'s':'')+'!':'Ninguem ganhou — todos empataram!'; }
+    text.textContent=roundText(state.lastResult);
   } else { badge.textContent='Fim do Jogo'; text.textContent='A contabilizar pontos...'; cnt.textContent=''; }
 
+  /* spectators */
+  document.getElementById('spectator-info').textContent=
+    (state.spectator?'A ver · ':'')+(state.spectators>0?state.spectators+' a ver':'');
+
   /* my scored */
+  document.getElementById('my-area').style.display=state.spectator?'none':'';
   const sc=document.getElementById('my-scored'); sc.innerHTML='';
   const me=state.players[myGameSeat];
   if(!me||me.scored.length===0){
@@ -1504,30 +2572,310 @@ function renderGame(){
 
   /* deck */
   document.getElementById('deck-info').textContent=
-    state.deckPass===0?'1.a passagem — '+state.deckLeft+' cartas':'2.a passagem — '+state.deckLeft+' cartas';
+    'Passagem '+(state.deckPass+1)+'/'+state.rules.passes+' — '+state.deckLeft+' cartas';
+
+  tickBetClock();
+
+  renderHistory();
+
+  /* series */
+  const sr=state.series;
+  document.getElementById('series-info').textContent=sr?
+    'Melhor de '+sr.best+' · '+seriesOrder(sr).map(i=>state.players[i].name+' '+sr.wins[i]).join(' – '):'';
+
+  /* house rules */
+  // The seed (with the game's actions) reproduces this exact game: worth quoting in bug reports
+  document.getElementById('table-rules').innerHTML=[...rulesText(state.rules),...(state.phase==='GAME_OVER'?['Semente do jogo: '+state.seed]:[])]
+    .map(t=>'<li>'+esc(t)+'</li>').join('');
 }
 
+const TIE_TEXT={bird:'Empate nos pontos — desempatado pelo token do pássaro',
+  caps:'Empate nos pontos — desempatado por mais capivaras',
+  cards:'Empate nos pontos — desempatado por mais cartas ganhas',
+  shared:'Empate total — vitória partilhada'};
+
 function showGameOver(){
   const el=document.getElementById('final-scores'); el.innerHTML='';
+  const winners=state.winners||[state.winnerIdx];
+  document.getElementById('gameover-title').textContent=winners.length>1?'Vitória Partilhada!':'Fim do Jogo';
+  const fs=state.finalScores||[];
+  document.getElementById('tie-note').textContent=[
+    state.targetReached?'Alvo de '+state.rules.targetScore+' pontos atingido.':'',
+    (fs[0]&&TIE_TEXT[fs[0].tieBreak])||''].filter(Boolean).join(' ');
   (state.finalScores||state.players).forEach((s,i)=>{
-    const isW=i===state.winnerIdx;
+    const isW=winners.includes(i);
     const d=[];
     if(s.birdCards>0) d.push('Passaro x'+s.birdCards);
-    if(s.hasBird) d.push('+5 token');
-    if(s.allLilies) d.push('+10 quatro nenufares!');
+    if(s.hasBird) d.push('+'+state.rules.birdBonus+' token');
+    if(s.allLilies) d.push('+'+state.rules.lilyBonus+' quatro nenufares!');
     const row=document.createElement('div'); row.className='score-row';
     row.innerHTML=
       '<div>'+
-        '<div class="score-name">'+esc(s.name)+(isW?' <span class="winner-badge">Vencedor</span>':'')+'</div>'+
+        '<div class="score-name">'+esc(s.name)+(isW?' <span class="winner-badge">Vencedor</span>':'')+
+          (s.rating?' <span class="rating-delta '+(s.rating.after>=s.rating.before?'up':'down')+'">'+
+            (s.rating.after>=s.rating.before?'+':'')+(s.rating.after-s.rating.before)+' ELO</span>':'')+'</div>'+
         '<div class="score-detail">'+(d.join(' · ')||'so capivaras')+'</div>'+
       '</div>'+
       '<div class="score-pts">'+s.pts+' pts</div>';
     el.appendChild(row);
   });
-  document.getElementById('btn-restart').style.display=(isSolo||isHost)?'inline-flex':'none';
+  const rs=document.getElementById('btn-restart');
+  rs.style.display=(isSolo||isHost)?'inline-flex':'none';
+  rs.textContent=isSolo?'Jogar Novamente':'Sala de espera';
+  document.getElementById('btn-replay').style.display=offline?'none':''; // offline games aren't archived
+  renderSeriesBoard(); renderReport();
+  /* rematch vote: every human seat must agree */
+  const sr=state.series, humans=state.players.map((p,i)=>p.bot?-1:i).filter(i=>i>=0);
+  const votes=humans.filter(i=>state.rematch&&state.rematch[i]).length;
+  const canVote=!isSolo&&!state.spectator&&state.rematchOpen;
+  const rb=document.getElementById('btn-rematch');
+  rb.style.display=canVote?'inline-flex':'none';
+  const mine=!!(state.rematch&&state.rematch[myGameSeat]);
+  rb.textContent=mine?'Cancelar voto':sr&&!sr.over?'Próximo jogo da série':sr&&sr.over?'Nova série':'Revanche';
+  rb.className='btn '+(mine?'btn-outline':'btn-primary');
+  document.getElementById('rematch-info').textContent=
+    isSolo?'':!state.rematchOpen?'Sem revanche: alguém saiu da mesa.':votes?'Revanche: '+votes+'/'+humans.length+' votos':'';
   openOverlay('overlay-gameover');
 }
 
+// ── OFFLINE SOLO ─────────────────────────────────────────────────────────────
+// A solo game run entirely here on the shared engine (/engine.js), picked from
+// the lobby or offered when there is no server: send() hands actions to
+// offlineAction, which plays the server's part, and every change goes through
+// handleMsg as a GAME_STATE like an online game. An unfinished game is kept in
+// localStorage, so closing the app doesn't lose it; leaving the table does.
+const OFFLINE_KEY='cap_offline';
+function savedOffline(){ try{ return JSON.parse(localStorage.getItem(OFFLINE_KEY)); }catch{ return null; } }
+function offlineLabel(){ return savedOffline()?'Continuar offline':'Jogar offline'; }
+function showOfflineScreen(){ document.getElementById('btn-offline-play').textContent=offlineLabel(); showScreen('screen-offline'); }
+
+function playOffline(){
+  if(typeof Engine==='undefined'){ notif('O jogo offline ainda não está disponível neste dispositivo.'); return; }
+  const g=savedOffline();
+  if(!g){ startOffline(); return; }
+  offline={g}; myLobbySeat=0; _prevBetCount=-1; _prevBirdHolder=-99;
+  offlineUpdate();
+  if(g.phase==='REVEAL') offlineReveal(); else offlineBots();
+}
+function startOffline(){
+  const bots=Array.from({length:soloBots},(_,i)=>'Bot Capivaras '+(i+1));
+  offline={ g:Engine.newGame([myName||'Jogador',...bots],true,[null,...bots.map(()=>soloLevel)],{},Engine.buildDeck(DECKS,Engine.DEFAULT_RULES)) };
+  myLobbySeat=0; _prevBetCount=-1; _prevBirdHolder=-99;
+  offlineUpdate(); offlineBots();
+}
+function offlineUpdate(){
+  const g=offline.g;
+  if(g.phase==='GAME_OVER') localStorage.removeItem(OFFLINE_KEY); else localStorage.setItem(OFFLINE_KEY,JSON.stringify(g));
+  handleMsg({type:'GAME_STATE',state:{...Engine.gameView(offline.g,0),spectators:0,amHost:false,series:null,rematchOpen:false}});
+}
+// Steps the local game through the engine and runs what the events call for
+function offlinePlay(action){
+  const r=Engine.step(offline.g,action);
+  if(r.events[0].type==='REJECTED') return;
+  offline.g=r.g; offlineUpdate();
+  if(r.events.some(e=>e.type==='REVEAL')) offlineReveal();
+  if(r.events.some(e=>e.type==='DEAL')) offlineBots();
+}
+// Timers belong to one turn of one game, as on the server
+function offlineTurn(g){ return !!offline&&offline.g.id===g.id&&offline.g.turnGen===g.turnGen; }
+// Same pacing as the server's bots
+function offlineBots(){
+  const g=offline.g;
+  g.players.forEach((p,seat)=>{
+    if(p.bot&&g.bets[seat]===null) setTimeout(()=>{ if(offlineTurn(g)) offlinePlay({type:'AUTO',seat}); },900+Math.random()*1700);
+  });
+}
+function offlineReveal(){
+  const g=offline.g;
+  setTimeout(()=>{ if(offlineTurn(g)) offlinePlay({type:'NEXT'}); },g.rules.revealSecs*1000);
+}
+function offlineAction(msg){
+  switch(msg.type){
+    case 'BET': offlinePlay({type:'BET',seat:0,pos:msg.position}); break;
+    case 'REQUEST_STATE': offlineUpdate(); break;
+    case 'RESTART': startOffline(); break;
+    case 'LEAVE_LOBBY':
+      offline=null; state=null; localStorage.removeItem(OFFLINE_KEY);
+      // The leave buttons go on to show the lobby, which needs the server
+      if(!ws||ws.readyState!==1) setTimeout(showOfflineScreen);
+      break;
+  }
+}
+
+// ── GAME REPORT ──────────────────────────────────────────────────────────────
+const PLAYER_COLORS=['#c47c28','#2e7a9a','#8a3a9a','#3a8a3a','#c0401c','#7a7a20'];
+let reportOpen=false;
+
+function reportCard(c){ return 'um '+c.cap+(c.bird?' com pássaro':''); }
+
+function renderReport(){
+  const el=document.getElementById('game-report'), r=state.report;
+  if(!r||!r.timeline.length){ el.innerHTML=''; return; }
+  const P=state.players, nm=i=>esc(P[i].name), li=a=>'<ul>'+a.map(t=>'<li>'+t+'</li>').join('')+'</ul>';
+
+  /* points per round */
+  const W=460,H=150,pad=6,rounds=r.timeline.length,max=Math.max(1,...r.timeline.map(row=>Math.max(...row)));
+  const x=k=>pad+(W-2*pad)*(rounds>1?k/(rounds-1):.5), y=v=>H-pad-(H-2*pad)*v/max;
+  const chart='<svg viewBox="0 0 '+W+' '+H+'">'+P.map((_,i)=>
+    '<polyline fill="none" stroke="'+PLAYER_COLORS[i%6]+'" stroke-width="2" stroke-linejoin="round" points="'+
+      r.timeline.map((row,k)=>x(k).toFixed(1)+','+y(row[i]).toFixed(1)).join(' ')+'"/>').join('')+'</svg>'+
+    '<div class="report-legend">'+P.map((_,i)=>'<span style="--c:'+PLAYER_COLORS[i%6]+'">'+nm(i)+'</span>').join('')+'</div>';
+
+  /* collisions, most frequent pairs first */
+  const pairs=[];
+  r.collisions.forEach((row,i)=>row.forEach((c,j)=>{ if(i<j&&c>0) pairs.push([i,j,c]); }));
+  pairs.sort((a,b)=>b[2]-a[2]);
+  const coll=pairs.length?pairs.slice(0,3).map(([i,j,c])=>nm(i)+' e '+nm(j)+': '+c+' vez'+(c!==1?'es':'')):['Ninguém chocou com ninguém.'];
+
+  const cards=r.cards.map((c,i)=>nm(i)+': '+c.won+' carta'+(c.won!==1?'s':'')+' · '+c.caps+' capivaras'+(c.birds?' · '+c.birds+' com pássaro':''));
+  const bird=r.birdChanges.length?r.birdChanges.map(b=>'Ronda '+b.round+' — '+
+    (b.type==='first'?nm(b.seat)+' apanhou o token':nm(b.seat)+' roubou o token a '+nm(b.from))):['O token nunca saiu da mesa.'];
+  const lilies=r.lilies.map((ls,i)=>nm(i)+': '+(ls.length?ls.map(l=>'<span style="color:'+LC[l.lily]+'">●</span> R'+l.round).join(' ')+
+    (ls.length===4?' — completo na ronda '+ls[3].round:''):'nenhum'));
+  const luck=[];
+  if(r.luckiest) luck.push('Melhor carta: '+nm(r.luckiest.seat)+' levou '+reportCard(r.luckiest.card)+' na ronda '+r.luckiest.round);
+  if(r.unluckiest) luck.push('Maior azar: '+r.unluckiest.seats.map(nm).join(' e ')+' afugentaram '+reportCard(r.unluckiest.card)+' na ronda '+r.unluckiest.round);
+
+  el.innerHTML='<details'+(reportOpen?' open':'')+'><summary>Estatísticas do jogo</summary>'+
+    '<h4>Pontos por ronda</h4>'+chart+
+    '<h4>Cartas ganhas</h4>'+li(cards)+
+    '<h4>Choques mais frequentes</h4>'+li(coll)+
+    '<h4>Token do pássaro</h4>'+li(bird)+
+    '<h4>Nenúfares</h4>'+li(lilies)+
+    (luck.length?'<h4>Sorte e azar</h4>'+li(luck):'')+
+    '</details>';
+  el.querySelector('details').ontoggle=e=>{ reportOpen=e.target.open; };
+}
+
+// Series seats ordered by games won, then by total points
+function seriesOrder(sr){
+  return sr.wins.map((_,i)=>i).sort((a,b)=>sr.wins[b]-sr.wins[a]||sr.points[b]-sr.points[a]);
+}
+
+function renderSeriesBoard(){
+  const el=document.getElementById('series-board'), sr=state.series;
+  if(!sr||!sr.games){ el.innerHTML=''; return; }
+  const order=seriesOrder(sr), top=order[0];
+  const tied=order.filter(i=>sr.wins[i]===sr.wins[top]&&sr.points[i]===sr.points[top]).length>1;
+  const title=sr.over?(tied?'Série empatada!':'Série ganha por '+esc(state.players[top].name)+'!'):
+    'Série à melhor de '+sr.best+' — '+sr.games+' jogo'+(sr.games!==1?'s':'')+' jogado'+(sr.games!==1?'s':'');
+  el.innerHTML='<h3>'+title+'</h3><table><tr><th>Jogador</th><th>Vitórias</th><th>Pontos</th></tr>'+
+    order.map(i=>'<tr'+(i===top&&!tied?' class="lead"':'')+'><td>'+esc(state.players[i].name)+'</td><td>'+sr.wins[i]+'</td><td>'+sr.points[i]+'</td></tr>').join('')+
+    '</table>';
+}
+
+// ── ACCOUNTS ─────────────────────────────────────────────────────────────────
+function renderAccountBar(){
+  const el=document.getElementById('account-bar'); el.innerHTML='';
+  const who=document.createElement('span');
+  if(myAccount){
+    who.innerHTML='Sessão iniciada como <strong>'+esc(myAccount)+'</strong>';
+    const btns=document.createElement('span'); btns.style.cssText='display:flex;gap:6px';
+    const prof=document.createElement('button'); prof.className='btn btn-outline btn-sm'; prof.textContent='Perfil';
+    prof.onclick=()=>openProfile(myAccount);
+    const out=document.createElement('button'); out.className='btn btn-outline btn-sm'; out.textContent='Sair da conta';
+    out.onclick=()=>send({type:'LOGOUT',token:localStorage.getItem('cap_account')});
+    btns.appendChild(prof); btns.appendChild(out);
+    el.appendChild(who); el.appendChild(btns);
+  } else {
+    who.textContent=myName?'A jogar como convidado ('+myName+')':'';
+    el.appendChild(who);
+  }
+}
+function accountAction(type){
+  const name=document.getElementById('inp-name').value.trim(), pin=document.getElementById('inp-pin').value;
+  if(!name){ notif('Precisas de um nome!'); return; }
+  if(pin.length<4){ notif('O PIN tem de ter pelo menos 4 caracteres.'); return; }
+  const go=()=>send({type,name,pin});
+  if(ws&&ws.readyState===1) go();
+  else { if(!ws||ws.readyState>1) connect(); ws.addEventListener('open',go,{once:true}); }
+}
+function openProfile(name){
+  fetch('/api/players/'+encodeURIComponent(name)).then(r=>r.ok?r.json():Promise.reject()).then(p=>{
+    document.getElementById('profile-name').textContent=p.name;
+    const pct=x=>Math.round(x*100)+'%';
+    const stats=[
+      ['Jogos',p.games],['Vitórias',p.wins],['Média de pontos',p.avgPoints.toFixed(1)],['Rating ELO',p.rating],
+      ['Token do pássaro',pct(p.birdRate)],['Quatro nenúfares',pct(p.lilyRate)],
+    ];
+    document.getElementById('profile-stats').innerHTML=stats.map(([l,v])=>
+      '<div class="stat"><div class="stat-val">'+esc(v)+'</div><div class="stat-lbl">'+l+'</div></div>').join('');
+    showScreen('screen-profile');
+  }).catch(()=>notif('Perfil indisponível.'));
+}
+
+function openRanking(){
+  fetch('/api/leaderboard').then(r=>r.ok?r.json():Promise.reject()).then(list=>{
+    const el=document.getElementById('ranking-list');
+    if(!list.length){ el.innerHTML='<p style="color:var(--muted);font-size:.85rem;margin-bottom:18px">Ainda ninguém entrou no ranking.</p>'; }
+    else el.innerHTML='<table class="rank-table"><tr><th>#</th><th>Jogador</th><th>Rating</th><th>Jogos</th></tr>'+
+      list.map((r,i)=>'<tr'+(r.name===myAccount?' class="me"':'')+'><td class="rank-pos">'+(i+1)+'</td><td>'+esc(r.name)+'</td>'+
+        '<td class="rank-rating">'+r.rating+'</td><td>'+r.games+'</td></tr>').join('')+'</table>';
+    showScreen('screen-ranking');
+  }).catch(()=>notif('Ranking indisponível.'));
+}
+
+// ── REPLAY ───────────────────────────────────────────────────────────────────
+let replay=null,replayRound=0;
+function openReplay(id){
+  fetch('/api/games/'+encodeURIComponent(id)).then(r=>r.ok?r.json():Promise.reject()).then(rec=>{
+    if(!rec.rounds.length){ notif('Este jogo não tem rondas.'); return; }
+    replay=rec; replayRound=0;
+    closeOverlay('overlay-gameover'); showScreen('screen-replay'); renderReplay();
+  }).catch(()=>notif('Repetição indisponível.'));
+}
+function renderReplay(){
+  const r=replay.rounds[replayRound], total=replay.rounds.length;
+  document.getElementById('replay-info').textContent=
+    'Ronda '+r.round+' de '+total+' — '+(r.deckPass+1)+'.a passagem'+' · semente '+replay.seed;
+  document.getElementById('btn-replay-prev').disabled=replayRound===0;
+  document.getElementById('btn-replay-next').disabled=replayRound===total-1;
+
+  /* capybaras collected up to and including this round */
+  const caps=replay.players.map(()=>0);
+  replay.rounds.slice(0,replayRound+1).forEach(rr=>Object.entries(rr.winners).forEach(([pos,seat])=>{ caps[seat]+=rr.table[pos].cap; }));
+  const bar=document.getElementById('replay-players'); bar.innerHTML='';
+  replay.players.forEach((p,i)=>{
+    const chip=document.createElement('div'); chip.className='player-chip';
+    const bet=r.bets[i];
+    chip.innerHTML='<div class="pname">'+esc(p.name)+'</div>'+
+      '<div class="ppts">'+caps[i]+'<span style="font-size:.65rem;font-weight:400;color:var(--muted)"> capivaras</span></div>'+
+      '<div class="pbet">'+(bet===null?'Sem aposta':'Apostou na '+String.fromCharCode(65+bet))+'</div>';
+    bar.appendChild(chip);
+  });
+
+  const area=document.getElementById('replay-cards'); area.innerHTML='';
+  area.style.setProperty('--n-cards', r.table.length);
+  r.table.forEach((card,pos)=>{
+    const div=document.createElement('div');
+    const won=r.winners[pos]!==undefined;
+    div.className='cap-card reveal-card '+(won?'won':'nobody');
+    div.innerHTML=cardFaceHTML(card,pos)+
+      (won?'<div class="card-result-label win">'+esc(replay.players[r.winners[pos]].name)+'</div>'
+          :'<div class="card-result-label nobody">Ninguem</div>')+
+      betChipsHTML(r.bets,pos,replay.players);
+    area.appendChild(div);
+  });
+  document.getElementById('replay-text').textContent=roundText(r);
+}
+function stepReplay(d){
+  if(!replay) return;
+  const i=Math.max(0,Math.min(replay.rounds.length-1,replayRound+d));
+  if(i!==replayRound){ replayRound=i; renderReplay(); }
+}
+function closeReplay(){
+  replay=null;
+  if(state&&state.phase==='GAME_OVER'){ showScreen('screen-game'); showGameOver(); }
+  else if(state) showScreen('screen-game');
+  else showScreen('screen-lobby');
+}
+document.addEventListener('keydown',e=>{
+  if(!document.getElementById('screen-replay').classList.contains('active')) return;
+  if(e.key==='ArrowLeft') stepReplay(-1);
+  if(e.key==='ArrowRight') stepReplay(1);
+  if(e.key==='Escape') closeReplay();
+});
+
 // ── VIDEO RULES ──────────────────────────────────────────────────────────────
 function checkVideoExists(){
   fetch('/regras.mp4', {method:'HEAD'}).then(r=>{
@@ -1562,6 +2910,24 @@ if(document.readyState==='loading') document.addEventListener('DOMContentLoaded'
 else checkVideoExists();
 
 // ── RULES TOGGLE ─────────────────────────────────────────────────────────────
+function toggleHistory(){
+  const open=document.getElementById('history-body').classList.toggle('open');
+  document.getElementById('history-toggle').classList.toggle('open',open);
+}
+
+// Past picks, newest round first: card letter and capybaras, won or lost to a clash
+function renderHistory(){
+  const el=document.getElementById('history-body'), h=state.history||[];
+  if(!h.length){ el.innerHTML='<div class="history-empty">Ainda não houve nenhuma ronda.</div>'; return; }
+  el.innerHTML='<table class="history-table"><tr><th>Ronda</th>'+state.players.map(p=>'<th>'+esc(p.name)+'</th>').join('')+'</tr>'+
+    h.slice().reverse().map(r=>'<tr><td>'+r.round+'</td>'+r.bets.map((b,seat)=>{
+      if(b===null) return '<td>—</td>';
+      const won=r.winners[b]===seat, clash=r.bets.filter(x=>x===b).length>1;
+      return '<td class="'+(won?'won':clash?'clash':'')+'" title="'+(won?'Ganhou':clash?'Choque':'')+'">'+
+        String.fromCharCode(65+b)+' · '+r.caps[b]+(won?' ✓':clash?' ✗':'')+'</td>';
+    }).join('')+'</tr>').join('')+'</table>';
+}
+
 function toggleRules(){
   const body=document.getElementById('rules-body');
   const btn=document.getElementById('rules-toggle');
@@ -1574,18 +2940,94 @@ document.getElementById('inp-name').addEventListener('keydown',e=>{ if(e.key==='
 document.getElementById('btn-go').onclick=()=>{
   const n=document.getElementById('inp-name').value.trim();
   if(!n){ notif('Precisas de um nome!'); return; }
-  myName=n.slice(0,20); showScreen('screen-lobby');
+  myName=n.slice(0,20); renderAccountBar(); showScreen('screen-lobby');
   if(_cachedLobbies.length) renderLobbyList(_cachedLobbies);
   if(!ws||ws.readyState>1) connect(); else send({type:'LOBBIES'});
 };
 document.getElementById('btn-back-name').onclick=()=>showScreen('screen-name');
-document.getElementById('btn-start').onclick=()=>{ document.getElementById('btn-start').disabled=true; send({type:'START'}); };
+document.getElementById('btn-login').onclick=()=>accountAction('LOGIN');
+document.getElementById('btn-register').onclick=()=>accountAction('REGISTER');
+document.getElementById('inp-pin').addEventListener('keydown',e=>{ if(e.key==='Enter') document.getElementById('btn-login').click(); });
+document.getElementById('btn-ranking').onclick=openRanking;
+document.getElementById('btn-ranking-back').onclick=()=>showScreen('screen-lobby');
+document.getElementById('btn-profile-back').onclick=()=>showScreen('screen-lobby');
+document.getElementById('btn-create').onclick=()=>send({type:'CREATE_LOBBY',playerName:myName,
+  name:document.getElementById('inp-table-name').value.trim(),
+  maxHuman:parseInt(document.getElementById('sel-seats').value),
+  private:document.getElementById('chk-private').checked});
+document.getElementById('inp-code').addEventListener('keydown',e=>{ if(e.key==='Enter') document.getElementById('btn-join-code').click(); });
+document.getElementById('btn-join-code').onclick=()=>{
+  const c=document.getElementById('inp-code').value.trim().toUpperCase();
+  if(!c){ notif('Escreve o código da mesa.'); return; }
+  send({type:'JOIN_LOBBY',code:c,playerName:myName});
+};
+document.getElementById('btn-watch-code').onclick=()=>{
+  const c=document.getElementById('inp-code').value.trim().toUpperCase();
+  if(!c){ notif('Escreve o código da mesa.'); return; }
+  send({type:'SPECTATE',code:c});
+};
+document.getElementById('chk-takeover').onchange=e=>send({type:'SET_TAKEOVER',on:e.target.checked});
+document.getElementById('chk-lock').onchange=e=>send({type:'LOCK',on:e.target.checked});
+document.getElementById('chat-toggle').onclick=toggleChat;
+document.getElementById('chat-form').onsubmit=e=>{
+  e.preventDefault();
+  const inp=document.getElementById('chat-input'); const text=inp.value.trim();
+  if(text) send({type:'CHAT',text}); inp.value='';
+};
+Object.entries(EMOTE_ICONS).forEach(([k,[icon,title]])=>{
+  const b=document.createElement('button'); b.className='emote-btn'; b.type='button'; b.textContent=icon; b.title=title;
+  b.onclick=()=>send({type:'EMOTE',emote:k});
+  document.getElementById('emote-row').appendChild(b);
+});
+document.getElementById('rules-form').onchange=()=>{
+  const rules={};
+  document.querySelectorAll('#rules-form [data-rule]').forEach(el=>{
+    if(el.value!=='') rules[el.dataset.rule]=['collision','deck'].includes(el.dataset.rule)?el.value:Number(el.value);
+  });
+  rules.expansions=[...document.querySelectorAll('#deck-mix [data-expansion]:checked')].map(el=>el.dataset.expansion);
+  send({type:'SET_RULES',rules});
+};
+Object.entries(DECKS).forEach(([id,d])=>{
+  if(d.kind==='base'){
+    const o=document.createElement('option'); o.value=id; o.textContent=d.name+' ('+d.cards.length+')';
+    document.getElementById('sel-deck').appendChild(o);
+  } else {
+    const l=document.createElement('label'); const c=document.createElement('input');
+    c.type='checkbox'; c.dataset.expansion=id; l.append(c,d.name+' (+'+d.cards.length+')');
+    const mix=document.getElementById('deck-mix'); mix.appendChild(l); mix.style.display='';
+  }
+});
+document.getElementById('btn-add-bot').onclick=()=>send({type:'ADD_BOT',level:document.getElementById('sel-bot-level').value});
+document.getElementById('btn-start').onclick=()=>{
+  if(forceDeadline){ send({type:'CANCEL_START'}); return; }
+  document.getElementById('btn-start').disabled=true; send({type:'START',force:true});
+};
+document.getElementById('btn-ready').onclick=()=>{
+  const l=waitLobby; send({type:'READY',on:!(l&&l.ready&&l.ready[myLobbySeat])});
+};
 document.getElementById('btn-leave-wait').onclick=()=>{ send({type:'LEAVE_LOBBY'}); sessionStorage.removeItem('cap_token'); myToken=''; myLobbyId=''; myLobbySeat=-1; showScreen('screen-lobby'); send({type:'LOBBIES'}); };
-document.getElementById('btn-leave-game').onclick=()=>{ if(confirm('Sair do jogo?')){ _prevBetCount=-1; _prevBirdHolder=-99; send({type:'LEAVE_LOBBY'}); sessionStorage.removeItem('cap_token'); myToken=''; state=null; showScreen('screen-lobby'); send({type:'LOBBIES'}); } };
+document.getElementById('btn-leave-game').onclick=()=>{ if(isSpectator||confirm('Sair do jogo?')){ _prevBetCount=-1; _prevBirdHolder=-99; send({type:'LEAVE_LOBBY'}); sessionStorage.removeItem('cap_token'); myToken=''; state=null; showScreen('screen-lobby'); send({type:'LOBBIES'}); } };
+document.getElementById('btn-replay').onclick=()=>{ if(state&&state.gameId) openReplay(state.gameId); };
+document.getElementById('btn-replay-prev').onclick=()=>stepReplay(-1);
+document.getElementById('btn-replay-next').onclick=()=>stepReplay(1);
+document.getElementById('btn-replay-close').onclick=closeReplay;
+document.getElementById('btn-rematch').onclick=()=>send({type:'REMATCH',on:!(state&&state.rematch&&state.rematch[myGameSeat])});
 document.getElementById('btn-restart').onclick=()=>{ closeOverlay('overlay-gameover'); send({type:'RESTART'}); };
+document.getElementById('sel-offline-bots').innerHTML=[1,2,3,4,5].map(k=>'<option value="'+k+'">'+k+(k===1?' IA':' IAs')+'</option>').join('');
+document.getElementById('sel-offline-level').innerHTML=Object.keys(BOT_LL).map(k=>'<option value="'+k+'">'+BOT_LL[k]+'</option>').join('');
+document.getElementById('sel-offline-bots').value=soloBots; document.getElementById('sel-offline-level').value=soloLevel;
+document.getElementById('btn-offline-play').onclick=()=>{
+  soloBots=parseInt(document.getElementById('sel-offline-bots').value); soloLevel=document.getElementById('sel-offline-level').value;
+  playOffline();
+};
+document.getElementById('btn-offline-retry').onclick=()=>{
+  notif('A ligar ao servidor...'); clearTimeout(reconnectTimer); reconnectAttempts=0;
+  if(!ws||ws.readyState>1) connect();
+};
 document.getElementById('btn-goto-lobby').onclick=()=>{ closeOverlay('overlay-gameover'); _prevBetCount=-1; _prevBirdHolder=-99; send({type:'LEAVE_LOBBY'}); sessionStorage.removeItem('cap_token'); myToken=''; state=null; showScreen('screen-lobby'); send({type:'LOBBIES'}); };
 
-if(sessionStorage.getItem('cap_token')) connect();
+if(sessionStorage.getItem('cap_token')||localStorage.getItem('cap_account')) connect();
+if(pendingCode) document.querySelector('#screen-name h2').textContent='Convidaram-te para a mesa '+pendingCode+'. Como te chamas?';
 if('serviceWorker' in navigator) navigator.serviceWorker.register('/sw.js').catch(()=>{});
 </script>
 </body>
@@ -0,0 +1,29 @@
+'use strict';
+const fs   = require('fs');
+const path = require('path');
+
+// ─── JSON FILE STORE ─────────────────────────────────────────────────────────
+// Default persistence backend: one JSON document per key, kept under `dir`.
+// Anything exposing the same read(key) / write(key, value) pair can replace it
+// (read returns null for a missing key; write may throw).
+function createFileStore(dir) {
+  fs.mkdirSync(dir, { recursive: true });
+  const file = key => path.join(dir, String(key).replace(/[^\w.-]/g, '_') + '.json');
+  return {
+    read(key) {
+      try { return JSON.parse(fs.readFileSync(file(key), 'utf8')); }
+      catch (e) {
+        if (e.code !== 'ENOENT') console.error('store: cannot read ' + key + ': ' + e.message);
+        return null;
+      }
+    },
+    write(key, value) {
+      // Write then rename, so a crash mid-write never leaves a truncated file
+      const f = file(key), tmp = f + '.tmp';
+      fs.writeFileSync(tmp, JSON.stringify(value));
+      fs.renameSync(tmp, f);
+    },
+  };
+}
+
+module.exports = { createFileStore };
@@ -0,0 +1,51 @@
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadDecks } = require('../decks');
+
+const ART = path.join(__dirname, '..', 'public', 'cards');
+
+// ─── HELPERS ─────────────────────────────────────────────────────────────────
+// A throwaway decks dir holding the given definitions, by deck id
+function deckDir(t, defs) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'capivaras-decks-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  for (const [id, def] of Object.entries(defs)) fs.writeFileSync(path.join(dir, id + '.json'), typeof def === 'string' ? def : JSON.stringify(def));
+  return dir;
+}
+
+const plain = (count = 12) => ({ count, cap: 2, art: 'cap2' });
+
+// ─── TESTS ───────────────────────────────────────────────────────────────────
+test('the shipped decks all load, with every card art in place', () => {
+  const { decks, warnings } = loadDecks(path.join(__dirname, '..', 'decks'), ART);
+  assert.deepEqual(warnings, []);
+  assert.equal(decks.base.kind, 'base');
+  assert.equal(decks.base.cards.length, 36);
+  assert.equal(decks.base.cards.filter(c => c.bird).length, 10);
+  assert.ok(Object.values(decks).some(d => d.kind === 'expansion'));
+});
+
+test('a card whose art is missing shows its fallback, with a warning', t => {
+  const dir = deckDir(t, { mini: { name: 'Mini', kind: 'base', cards: [plain(11), { cap: 5, bird: true, art: 'cap5_gold', fallback: 'cap5' }] } });
+  const { decks, warnings } = loadDecks(dir, ART);
+  assert.equal(decks.mini.cards[11].img, 'cap5');
+  assert.match(warnings[0], /cap5_gold\.png not found, showing cap5\.png/);
+});
+
+test('a deck with a bad card is left out and the others still load', t => {
+  const dir = deckDir(t, {
+    good:   { name: 'Bom', kind: 'base', cards: [plain()] },
+    noart:  { name: 'Sem arte', kind: 'expansion', cards: [{ cap: 2, art: 'cap9' }] },
+    lilies: { name: 'Nenúfares', kind: 'expansion', cards: [{ cap: 2, lilies: ['Y', 'Y'], art: 'cap2_Y' }] },
+    small:  { name: 'Pequeno', kind: 'base', cards: [plain(4)] },
+    broken: '{ "name": ',
+  });
+  const { decks, warnings } = loadDecks(dir, ART);
+  assert.deepEqual(Object.keys(decks), ['good']);
+  assert.equal(warnings.length, 4);
+  assert.ok(warnings.every(w => /left out/.test(w)));
+});
@@ -0,0 +1,242 @@
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { DEFAULT_RULES, buildDeck, newGame, step, replay, computeScores, gameView } = require('../engine');
+const { loadDecks } = require('../decks');
+
+const { decks } = loadDecks(path.join(__dirname, '..', 'decks'), path.join(__dirname, '..', 'public', 'cards'));
+const BASE = buildDeck(decks, DEFAULT_RULES);
+
+// ─── HELPERS ─────────────────────────────────────────────────────────────────
+function card(cap, lilies = [], bird = false) {
+  return { cap, lilies, bird, img: 'cap' + cap, fallback: 'cap' + cap };
+}
+
+// A game on a fixed table (and optionally deck) instead of a shuffled one
+function fixedGame(n, table, { deck = [], rules = {}, bots } = {}) {
+  const g = newGame(Array.from({ length: n }, (_, i) => 'P' + (i + 1)), false, bots, rules, BASE, 1);
+  g.table = table; g.deck = deck;
+  return g;
+}
+
+// Every seat bets bets[seat]; returns the game and the events of the last bet
+function round(g, bets) {
+  let r;
+  bets.forEach((pos, seat) => { r = step(g, { type: 'BET', seat, pos }); g = r.g; });
+  return r;
+}
+
+function revealOf(r) { return r.events.find(e => e.type === 'REVEAL').result; }
+
+// ─── DEAL ────────────────────────────────────────────────────────────────────
+test('a new game deals one card per player from the shuffled base deck', () => {
+  const g = newGame(['A', 'B', 'C'], false, null, {}, BASE, 7);
+  assert.equal(g.table.length, 3);
+  assert.equal(g.deck.length, BASE.length - 3);
+  assert.equal(g.phase, 'BETTING');
+  assert.deepEqual(g.bets, [null, null, null]);
+});
+
+test('the same seed deals the same deck, another seed a different one', () => {
+  const imgs = g => [...g.table, ...g.deck].map(c => c.img).join();
+  assert.equal(imgs(newGame(['A', 'B'], false, null, {}, BASE, 42)), imgs(newGame(['A', 'B'], false, null, {}, BASE, 42)));
+  assert.notEqual(imgs(newGame(['A', 'B'], false, null, {}, BASE, 42)), imgs(newGame(['A', 'B'], false, null, {}, BASE, 43)));
+});
+
+test('expansions are shuffled in with the base deck', () => {
+  const rules = { ...DEFAULT_RULES, expansions: ['lagoa'] };
+  const g = newGame(['A', 'B'], false, null, rules, buildDeck(decks, rules), 5);
+  assert.equal(g.cards.length, BASE.length + decks.lagoa.cards.length);
+  assert.equal(g.table.length + g.deck.length, g.cards.length);
+  assert.ok([...g.table, ...g.deck].some(c => c.img === 'cap2_W'));
+});
+
+// ─── BETS ────────────────────────────────────────────────────────────────────
+test('a lone bettor takes the card and a collision scares it away', () => {
+  const g = fixedGame(3, [card(3), card(2), card(1)]);
+  const r = round(g, [0, 1, 1]);
+  const res = revealOf(r);
+  assert.deepEqual(res.winners, { 0: 0 });
+  assert.equal(r.g.phase, 'REVEAL');
+  assert.deepEqual(computeScores(r.g).map(s => s.pts), [3, 0, 0]);
+});
+
+test("under the 'underdog' rule a collision goes to the bettor with fewest points", () => {
+  let g = fixedGame(3, [card(4), card(2), card(1)], { rules: { collision: 'underdog' }, deck: [card(3), card(3), card(3)] });
+  g = round(g, [0, 1, 2]).g;            // P1 4, P2 2, P3 1
+  g = step(g, { type: 'NEXT' }).g;
+  const res = revealOf(round(g, [0, 0, 0]));
+  assert.deepEqual(res.winners, { 0: 2 });
+});
+
+test("'underdog' still sends a card away when the lowest bettors are level", () => {
+  const g = fixedGame(3, [card(4), card(2), card(1)], { rules: { collision: 'underdog' } });
+  assert.deepEqual(revealOf(round(g, [0, 0, 1])).winners, { 1: 2 });
+});
+
+test('the engine rejects bets it cannot take and never touches its input', () => {
+  const g = fixedGame(2, [card(1), card(2)]);
+  const before = JSON.stringify(g);
+  assert.equal(step(g, { type: 'BET', seat: 0, pos: 2 }).events[0].type, 'REJECTED');
+  assert.equal(step(g, { type: 'BET', seat: 5, pos: 0 }).events[0].type, 'REJECTED');
+  assert.equal(step(g, { type: 'NEXT' }).events[0].type, 'REJECTED');
+  const { g: g2 } = step(g, { type: 'BET', seat: 0, pos: 1 });
+  assert.equal(step(g2, { type: 'BET', seat: 0, pos: 0 }).events[0].type, 'REJECTED');
+  assert.equal(JSON.stringify(g), before);
+});
+
+// ─── BIRD TOKEN ──────────────────────────────────────────────────────────────
+test('the first bird card won alone takes the token', () => {
+  const res = revealOf(round(fixedGame(2, [card(2, [], true), card(1)]), [0, 1]));
+  assert.deepEqual(res.birdUpdate, { type: 'first', seat: 0, name: 'P1' });
+});
+
+test('two first bird cards in the same round leave the token on the table', () => {
+  const r = round(fixedGame(3, [card(2, [], true), card(3, [], true), card(1)]), [0, 1, 2]);
+  assert.equal(revealOf(r).birdUpdate.type, 'tie_first');
+  assert.deepEqual(revealOf(r).birdUpdate.seats, [0, 1]);
+  assert.equal(r.g.birdHolder, null);
+});
+
+test('a bird card lost to a collision gives nobody the token', () => {
+  const r = round(fixedGame(3, [card(2, [], true), card(3), card(1)]), [0, 0, 1]);
+  assert.equal(revealOf(r).birdUpdate, null);
+  assert.equal(r.g.birdHolder, null);
+});
+
+// P1 holds the token with one bird card; the next table is dealt from `deck`
+function withHolder(n, deck) {
+  let g = fixedGame(n, [card(2, [], true), ...Array.from({ length: n - 1 }, () => card(1))], { deck });
+  g = round(g, g.table.map((_, i) => i)).g;
+  assert.equal(g.birdHolder, 0);
+  return step(g, { type: 'NEXT' }).g;
+}
+
+test('matching the holder’s bird count is not enough to steal the token', () => {
+  const g = withHolder(2, [card(1), card(3, [], true)]);
+  const r = round(g, [0, 1]);
+  assert.equal(revealOf(r).birdUpdate, null);
+  assert.equal(r.g.birdHolder, 0);
+});
+
+test('overtaking the holder’s bird count steals the token', () => {
+  let g = withHolder(2, [card(1), card(3, [], true), card(2, [], true), card(1)]);
+  g = round(g, [0, 1]).g;                // P2 levels at one bird card
+  g = step(g, { type: 'NEXT' }).g;
+  const r = round(g, [1, 0]);            // ...and goes ahead
+  assert.deepEqual(revealOf(r).birdUpdate, { type: 'steal', seat: 1, from: 0, name: 'P2', fromName: 'P1' });
+  assert.equal(r.g.birdHolder, 1);
+});
+
+test('two players overtaking the holder together leave it where it is', () => {
+  let g = withHolder(3, [card(1), card(3, [], true), card(3, [], true), card(1), card(2, [], true), card(2, [], true)]);
+  g = round(g, [0, 1, 2]).g;             // P2 and P3 level with P1
+  g = step(g, { type: 'NEXT' }).g;
+  const r = round(g, [0, 1, 2]);         // ...and both go ahead at once
+  assert.equal(revealOf(r).birdUpdate.type, 'tie_steal');
+  assert.deepEqual(revealOf(r).birdUpdate.seats, [1, 2]);
+  assert.equal(r.g.birdHolder, 0);
+});
+
+test('the holder winning a bird card the same round keeps the token', () => {
+  let g = withHolder(2, [card(2, [], true), card(3, [], true), card(4, [], true), card(1)]);
+  g = round(g, [1, 0]).g;                // both win a bird card: 2 against 1
+  assert.equal(g.birdHolder, 0);
+  g = step(g, { type: 'NEXT' }).g;
+  const r = round(g, [1, 0]);            // P2 draws level, no more
+  assert.equal(r.g.birdHolder, 0);
+});
+
+// ─── DECK PASSES ─────────────────────────────────────────────────────────────
+test('an empty deck is reshuffled from the discard for the second pass', () => {
+  let g = fixedGame(2, [card(1), card(2)], { deck: [card(3), card(4)] });
+  g = step(round(g, [0, 1]).g, { type: 'NEXT' }).g;
+  assert.equal(g.deckPass, 0);
+  g = round(g, [0, 1]).g;
+  const r = step(g, { type: 'NEXT' });
+  assert.deepEqual(r.events.map(e => e.type), ['DEAL']);
+  assert.equal(r.g.deckPass, 1);
+  assert.equal(r.g.table.length + r.g.deck.length, 4);
+  assert.deepEqual(r.g.discard, []);
+});
+
+test('the game ends when the last pass runs out', () => {
+  let g = fixedGame(2, [card(1), card(2)], { rules: { passes: 2 } });
+  g = step(round(g, [0, 1]).g, { type: 'NEXT' }).g;   // pass 2 from the discard
+  const r = step(round(g, [1, 0]).g, { type: 'NEXT' });
+  assert.deepEqual(r.events.map(e => e.type), ['GAME_OVER']);
+  assert.equal(r.g.phase, 'GAME_OVER');
+  assert.deepEqual(r.g.finalScores.map(s => s.pts), [3, 3]);
+});
+
+test('with a single pass the game ends without reshuffling', () => {
+  const g = fixedGame(2, [card(1), card(2)], { rules: { passes: 1 } });
+  const r = step(round(g, [0, 1]).g, { type: 'NEXT' });
+  assert.equal(r.g.phase, 'GAME_OVER');
+  assert.equal(r.g.deckPass, 0);
+});
+
+test('cards left over from a short deck go into the next pass', () => {
+  let g = fixedGame(3, [card(1), card(2), card(3)], { deck: [card(5)] });
+  const r = step(round(g, [0, 1, 2]).g, { type: 'NEXT' });
+  assert.equal(r.g.deckPass, 1);
+  assert.equal(r.g.table.length + r.g.deck.length, 4);
+  assert.ok([...r.g.table, ...r.g.deck].some(c => c.cap === 5));
+});
+
+test('reaching the target score ends the game after the reveal', () => {
+  const g = fixedGame(2, [card(5), card(1)], { rules: { targetScore: 5 }, deck: [card(1), card(1)] });
+  const r = step(round(g, [0, 1]).g, { type: 'NEXT' });
+  assert.equal(r.g.phase, 'GAME_OVER');
+  assert.equal(r.g.targetReached, true);
+  assert.deepEqual(r.g.winners, [0]);
+});
+
+// ─── GAME OVER ───────────────────────────────────────────────────────────────
+test('the tie-break reported is the one that beat the runner-up', () => {
+  const g = fixedGame(3, [card(1), card(1), card(1)], { rules: { lilyBonus: 6 } });
+  g.players[0].scored = [card(5), card(5)];                                 // 10 caps, 2 cards
+  g.players[1].scored = [card(4), card(3), card(3)];                        // 10 caps, 3 cards
+  g.players[2].scored = ['Y', 'R', 'W', 'B'].map(l => card(1, [l]));        // 4 caps + 6
+  const { g: over } = step(g, { type: 'END' });
+  assert.deepEqual(over.winners, [1]);
+  assert.equal(over.finalScores[1].tieBreak, 'cards');
+});
+
+// ─── REPLAY ──────────────────────────────────────────────────────────────────
+test('a seed and its actions rebuild the same game, bots included', () => {
+  let g = newGame(['A', 'B', 'C'], false, [null, 'hard', 'easy'], { passes: 1 }, BASE, 2024);
+  while (g.phase !== 'GAME_OVER') {
+    const seat = g.bets.findIndex(b => b === null);
+    g = step(g, g.phase === 'REVEAL' ? { type: 'NEXT' } : seat === 0 ? { type: 'BET', seat, pos: g.log.length % 3 } : { type: 'AUTO', seat }).g;
+  }
+  const again = replay(JSON.parse(JSON.stringify(g)));
+  assert.deepEqual(again.log, g.log);
+  assert.deepEqual(again.finalScores, g.finalScores);
+  assert.equal(again.rng, g.rng);
+});
+
+test('a replay starts from the bot levels the game began with', () => {
+  let g = newGame(['A', 'B', 'C'], false, [null, 'hard', null], { passes: 1 }, BASE, 77);
+  // The clock bets for C before the hard bot does, then C leaves for good
+  const turn = () => ['AUTO 2', 'AUTO 1', 'BET 0'].forEach(a => {
+    const [type, seat] = a.split(' ');
+    g = step(g, type === 'BET' ? { type, seat: +seat, pos: g.log.length % 3 } : { type, seat: +seat }).g;
+  });
+  for (let r = 0; r < 3; r++) { turn(); g = step(g, { type: 'NEXT' }).g; }
+  g = step(g, { type: 'TAKEOVER', seat: 2 }).g;
+  while (g.phase !== 'GAME_OVER') { turn(); if (g.phase === 'REVEAL') g = step(g, { type: 'NEXT' }).g; }
+  const again = replay(JSON.parse(JSON.stringify(g)));
+  assert.deepEqual(again.initialBots, [null, 'hard', null]);
+  assert.deepEqual(again.log, g.log);
+  assert.deepEqual(again.finalScores, g.finalScores);
+  assert.equal(again.rng, g.rng);
+});
+
+test('views keep the seed hidden until the game is over', () => {
+  const g = newGame(['A', 'B'], false, null, {}, BASE, 99);
+  assert.equal(gameView(g, 0).seed, null);
+  assert.equal(gameView(g, -1).seed, null);
+  assert.equal(gameView(step(g, { type: 'END' }).g, 0).seed, 99);
+});
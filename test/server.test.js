@@ -0,0 +1,393 @@
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const { spawn } = require('child_process');
+const WebSocket = require('ws');
+
+const GRACE_MS = 600, AUTODEAL_MS = 200;
+
+// ─── HELPERS ─────────────────────────────────────────────────────────────────
+// A server of its own per test: random port, throwaway data dir, short timers
+function startServer(t) {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'capivaras-'));
+  const proc = spawn(process.execPath, [path.join(__dirname, '..', 'server.js')], {
+    env: { ...process.env, PORT: 0, DATA_DIR: dataDir, GRACE_MS, AUTODEAL_MS, BOT_MIN_MS: 20, BOT_MAX_MS: 40 },
+    stdio: ['ignore', 'pipe', 'inherit'],
+  });
+  // The server snapshots its state on SIGTERM: let it finish before cleaning up
+  t.after(async () => {
+    const exited = new Promise(r => proc.once('exit', r));
+    proc.kill(); await exited;
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+  return new Promise((resolve, reject) => {
+    proc.on('exit', code => reject(new Error('server exited with ' + code)));
+    proc.stdout.on('data', d => { const m = String(d).match(/on port (\d+)/); if (m) resolve(+m[1]); });
+  });
+}
+
+// next(pred) resolves with the first message matching pred (a type or a
+// function), dropping the ones received before it
+function connect(t, port) {
+  const ws = new WebSocket('ws://localhost:' + port);
+  const queue = [], waiters = [];
+  ws.on('message', raw => {
+    queue.push(JSON.parse(raw));
+    waiters.splice(0).forEach(w => w());
+  });
+  t.after(() => ws.terminate());
+  const client = {
+    send: msg => ws.send(JSON.stringify(msg)),
+    close: () => ws.close(),
+    next(pred, ms = 3000) {
+      const match = typeof pred === 'string' ? m => m.type === pred : pred;
+      return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => reject(new Error('no message matching ' + pred)), ms);
+        const look = () => {
+          const i = queue.findIndex(match);
+          if (i < 0) { waiters.push(look); return; }
+          clearTimeout(timer); resolve(queue.splice(0, i + 1).pop());
+        };
+        look();
+      });
+    },
+  };
+  return new Promise((resolve, reject) => { ws.on('open', () => resolve(client)); ws.on('error', reject); });
+}
+
+const profile = (port, name) => new Promise((resolve, reject) => {
+  http.get('http://localhost:' + port + '/api/players/' + name, res => {
+    let body = ''; res.on('data', d => { body += d; }); res.on('end', () => resolve(JSON.parse(body)));
+  }).on('error', reject);
+});
+
+// Bets on the first card every round until the game is over; the final view
+async function playOut(client) {
+  for (;;) {
+    const { state: view } = await client.next(m => m.type === 'GAME_STATE' && (m.state.phase === 'GAME_OVER' || m.state.myBet === null && m.state.phase === 'BETTING'), 10_000);
+    if (view.phase === 'GAME_OVER') return view;
+    client.send({ type: 'BET', position: 0 });
+  }
+}
+
+const state = phase => m => m.type === 'GAME_STATE' && m.state.phase === phase;
+
+// Ana hosts mp1, Bia joins and is ready, Ana starts: both are in BETTING
+async function twoPlayerGame(t) {
+  const port = await startServer(t);
+  const ana = await connect(t, port), bia = await connect(t, port);
+  ana.send({ type: 'JOIN_LOBBY', lobbyId: 'mp1', playerName: 'Ana' });
+  await ana.next('JOINED');
+  bia.send({ type: 'JOIN_LOBBY', lobbyId: 'mp1', playerName: 'Bia' });
+  const joined = await bia.next('JOINED');
+  bia.send({ type: 'READY', on: true });
+  await ana.next(m => m.type === 'LOBBY_STATE' && m.lobby.ready[1]);
+  ana.send({ type: 'START' });
+  await ana.next(state('BETTING'));
+  await bia.next(state('BETTING'));
+  return { port, ana, bia, biaToken: joined.token };
+}
+
+// ─── TESTS ───────────────────────────────────────────────────────────────────
+test('START waits until every seated player is ready', async t => {
+  const port = await startServer(t);
+  const ana = await connect(t, port), bia = await connect(t, port);
+  ana.send({ type: 'JOIN_LOBBY', lobbyId: 'mp1', playerName: 'Ana' });
+  assert.equal((await ana.next('JOINED')).seat, 0);
+  bia.send({ type: 'JOIN_LOBBY', lobbyId: 'mp1', playerName: 'Bia' });
+  assert.equal((await bia.next('JOINED')).seat, 1);
+  ana.send({ type: 'START' });
+  assert.match((await ana.next('ERROR')).text, /prontos/);
+});
+
+test('ready flags are spent when the game starts', async t => {
+  const { ana } = await twoPlayerGame(t);
+  ana.send({ type: 'LOBBIES' });
+  const mp1 = (await ana.next('LOBBIES')).lobbies.find(l => l.id === 'mp1');
+  assert.equal(mp1.playing, true);
+  assert.deepEqual(mp1.ready.filter(Boolean), []);
+});
+
+test('two players join, start and play a round', async t => {
+  const { ana, bia } = await twoPlayerGame(t);
+  ana.send({ type: 'BET', position: 0 });
+  bia.send({ type: 'BET', position: 1 });
+  const { state: view } = await ana.next(state('REVEAL'));
+  assert.deepEqual(view.lastResult.bets, [0, 1]);
+  assert.deepEqual(view.lastResult.winners, { 0: 0, 1: 1 });
+  assert.equal(view.history.length, 1);
+});
+
+test('a bet on a card that is not on the table is ignored', async t => {
+  const { ana, bia } = await twoPlayerGame(t);
+  ana.send({ type: 'BET', position: 7 });
+  ana.send({ type: 'BET', position: 1 });
+  const { state: view } = await bia.next(m => m.type === 'GAME_STATE' && m.state.betsPlaced[0]);
+  assert.equal(view.myBet, null);
+  bia.send({ type: 'BET', position: 1 });
+  assert.deepEqual((await ana.next(state('REVEAL'))).state.lastResult.bets, [1, 1]);
+});
+
+test('a socket that moves to another table gives up its old seat', async t => {
+  const port = await startServer(t);
+  const ana = await connect(t, port);
+  ana.send({ type: 'CREATE_LOBBY', playerName: 'Ana', name: 'T0', maxHuman: 2 });
+  await ana.next('JOINED');
+  ana.send({ type: 'CREATE_LOBBY', playerName: 'Ana', name: 'T1', maxHuman: 2 });
+  await ana.next('JOINED');
+  ana.send({ type: 'JOIN_LOBBY', lobbyId: 'mp1', playerName: 'Ana' });
+  await ana.next('JOINED');
+  ana.send({ type: 'LOBBIES' });
+  const { lobbies } = await ana.next('LOBBIES');
+  assert.deepEqual(lobbies.filter(l => l.userMade), []);
+  assert.equal(lobbies.find(l => l.id === 'mp1').seated, 1);
+
+  ana.send({ type: 'JOIN_LOBBY', lobbyId: 'solo', playerName: 'Ana', bots: 1 });
+  assert.equal((await ana.next('JOINED')).solo, true);
+  const bia = await connect(t, port);
+  bia.send({ type: 'LOBBIES' });
+  assert.equal((await bia.next('LOBBIES')).lobbies.find(l => l.id === 'mp1').seated, 0);
+});
+
+test('a move that fails keeps the seat the socket had', async t => {
+  const port = await startServer(t);
+  const ana = await connect(t, port);
+  ana.send({ type: 'JOIN_LOBBY', lobbyId: 'mp1', playerName: 'Ana' });
+  await ana.next('JOINED');
+  ana.send({ type: 'JOIN_LOBBY', code: 'ZZZZ', playerName: 'Ana' });
+  assert.match((await ana.next('ERROR')).text, /inválido/);
+  ana.send({ type: 'SPECTATE', lobbyId: 'mp2' });
+  await ana.next('ERROR');
+  ana.send({ type: 'CREATE_LOBBY', playerName: 'Ana', maxHuman: 9 });
+  await ana.next('ERROR');
+  ana.send({ type: 'LOBBIES' });
+  assert.equal((await ana.next('LOBBIES')).lobbies.find(l => l.id === 'mp1').seated, 1);
+});
+
+test('a fixed table empties its chat once everyone has left', async t => {
+  const port = await startServer(t);
+  const ana = await connect(t, port);
+  ana.send({ type: 'JOIN_LOBBY', lobbyId: 'mp1', playerName: 'Ana' });
+  await ana.next('JOINED');
+  ana.send({ type: 'CHAT', text: 'olá' });
+  await ana.next('CHAT');
+  ana.send({ type: 'LEAVE_LOBBY' });
+  await ana.next('LOBBIES');
+  const bia = await connect(t, port);
+  bia.send({ type: 'JOIN_LOBBY', lobbyId: 'mp1', playerName: 'Bia' });
+  assert.deepEqual((await bia.next('CHAT_HISTORY')).chat, []);
+});
+
+test('a dropped player can RECONNECT during the grace period', async t => {
+  const { port, ana, bia, biaToken } = await twoPlayerGame(t);
+  bia.close();
+  assert.equal((await ana.next('OPPONENT_DISCONNECTED_GRACE')).name, 'Bia');
+  assert.equal((await ana.next('GAME_STATE')).state.players[1].standIn, true);
+
+  const back = await connect(t, port);
+  back.send({ type: 'RECONNECT', token: biaToken });
+  const rc = await back.next('RECONNECTED');
+  assert.equal(rc.gameSeat, 1);
+  assert.equal((await ana.next('OPPONENT_RECONNECTED')).name, 'Bia');
+  const { state: view } = await back.next('GAME_STATE');
+  assert.equal(view.mySeat, 1);
+  assert.equal(view.players[1].standIn, false);
+});
+
+test('a stand-in bets for a disconnected player', async t => {
+  const { ana, bia } = await twoPlayerGame(t);
+  bia.close();
+  const { state: view } = await ana.next(m => m.type === 'GAME_STATE' && m.state.betsPlaced[1], AUTODEAL_MS + 2000);
+  assert.equal(view.players[1].standIn, true);
+  ana.send({ type: 'BET', position: 0 });
+  await ana.next(state('REVEAL'));
+});
+
+test('a player kicked mid-bet is played automatically', async t => {
+  const port = await startServer(t);
+  const ana = await connect(t, port), bia = await connect(t, port);
+  ana.send({ type: 'JOIN_LOBBY', lobbyId: 'mp1', playerName: 'Ana' });
+  await ana.next('JOINED');
+  bia.send({ type: 'JOIN_LOBBY', lobbyId: 'mp1', playerName: 'Bia' });
+  await bia.next('JOINED');
+  ana.send({ type: 'ADD_BOT', level: 'easy' });
+  bia.send({ type: 'READY', on: true });
+  await ana.next(m => m.type === 'LOBBY_STATE' && m.lobby.ready[1] && m.lobby.bots.length === 1);
+  ana.send({ type: 'START' });
+  await ana.next(state('BETTING'));
+  ana.send({ type: 'KICK', seat: 1 });
+  await bia.next('KICKED');
+  await ana.next(m => m.type === 'GAME_STATE' && m.state.players[1].standIn);
+  ana.send({ type: 'BET', position: 0 });
+  const { state: view } = await ana.next(state('REVEAL'), AUTODEAL_MS + 2000);
+  assert.equal(view.lastResult.bets.length, 3);
+});
+
+test('a player who leaves mid-game gets no stats for the seat played on without them', async t => {
+  const port = await startServer(t);
+  const ana = await connect(t, port), bia = await connect(t, port);
+  ana.send({ type: 'REGISTER', name: 'Ana', pin: '1234' });
+  await ana.next('ACCOUNT');
+  bia.send({ type: 'REGISTER', name: 'Bia', pin: '1234' });
+  await bia.next('ACCOUNT');
+  ana.send({ type: 'JOIN_LOBBY', lobbyId: 'mp1' });
+  await ana.next('JOINED');
+  ana.send({ type: 'SET_RULES', rules: { targetScore: 1, revealSecs: 2 } });
+  ana.send({ type: 'ADD_BOT', level: 'easy' });
+  bia.send({ type: 'JOIN_LOBBY', lobbyId: 'mp1' });
+  await bia.next('JOINED');
+  bia.send({ type: 'READY', on: true });
+  await ana.next(m => m.type === 'LOBBY_STATE' && m.lobby.ready[1] && m.lobby.bots.length === 1);
+  ana.send({ type: 'START' });
+  await bia.next(state('BETTING'));
+  bia.send({ type: 'LEAVE_LOBBY' });
+  await playOut(ana);
+  assert.equal((await profile(port, 'ana')).games, 1);
+  assert.equal((await profile(port, 'bia')).games, 0);
+});
+
+test('when the grace period runs out the seat is freed and the game ends', async t => {
+  const { port, ana, bia, biaToken } = await twoPlayerGame(t);
+  bia.close();
+  await ana.next('PLAYER_LEFT', GRACE_MS + 2000);
+  const { state: view } = await ana.next(state('GAME_OVER'));
+  assert.equal(view.finalScores.length, 2);
+
+  const late = await connect(t, port);
+  late.send({ type: 'RECONNECT', token: biaToken });
+  await late.next('RECONNECT_FAIL');
+});
+
+test('a solo table starts at once against its bots', async t => {
+  const port = await startServer(t);
+  const ana = await connect(t, port);
+  ana.send({ type: 'JOIN_LOBBY', lobbyId: 'solo', playerName: 'Ana', bots: 3, difficulty: 'hard' });
+  assert.equal((await ana.next('JOINED')).solo, true);
+  const { state: view } = await ana.next(m => m.type === 'GAME_STATE' && m.state.betsPlaced.filter(Boolean).length === 3);
+  assert.equal(view.n, 4);
+  assert.deepEqual(view.players.map(p => p.bot), [null, 'hard', 'hard', 'hard']);
+  ana.send({ type: 'BET', position: 2 });
+  assert.equal((await ana.next(state('REVEAL'))).state.lastResult.bets[0], 2);
+});
+
+test('the host deals from the deck and expansions picked for the table', async t => {
+  const port = await startServer(t);
+  const ana = await connect(t, port);
+  ana.send({ type: 'JOIN_LOBBY', lobbyId: 'mp1', playerName: 'Ana' });
+  await ana.next('JOINED');
+  ana.send({ type: 'SET_RULES', rules: { deck: 'nenhum' } });
+  assert.match((await ana.next('ERROR')).text, /Baralho/);
+  ana.send({ type: 'SET_RULES', rules: { deck: 'curto', expansions: ['bando'] } });
+  const ls = await ana.next(m => m.type === 'LOBBY_STATE' && m.lobby.rules.deck === 'curto');
+  assert.deepEqual(ls.lobby.rules.expansions, ['bando']);
+  ana.send({ type: 'ADD_BOT', level: 'easy' });
+  await ana.next(m => m.type === 'LOBBY_STATE' && m.lobby.bots.length === 1);
+  ana.send({ type: 'START' });
+  const { state: view } = await ana.next(state('BETTING'));
+  assert.equal(view.deckLeft + view.table.length, 22 + 4);
+});
+
+test('RESTART takes a finished table back to the wait room', async t => {
+  const port = await startServer(t);
+  const ana = await connect(t, port);
+  ana.send({ type: 'JOIN_LOBBY', lobbyId: 'mp1', playerName: 'Ana' });
+  await ana.next('JOINED');
+  ana.send({ type: 'SET_RULES', rules: { targetScore: 1, revealSecs: 2 } });
+  ana.send({ type: 'ADD_BOT', level: 'easy' });
+  await ana.next(m => m.type === 'LOBBY_STATE' && m.lobby.bots.length === 1);
+  ana.send({ type: 'START' });
+  await ana.next(state('BETTING'));
+  const cid = await connect(t, port);
+  cid.send({ type: 'SPECTATE', lobbyId: 'mp1' });
+  await cid.next('SPECTATING');
+
+  ana.send({ type: 'RESTART' }); // ignored mid-game
+  let view;
+  do {
+    view = (await ana.next(m => m.type === 'GAME_STATE' && (m.state.phase === 'GAME_OVER' || m.state.myBet === null && m.state.phase === 'BETTING'), 10_000)).state;
+    if (view.phase === 'BETTING') ana.send({ type: 'BET', position: view.history.length % 2 });
+  } while (view.phase !== 'GAME_OVER');
+  assert.equal(view.targetReached, true);
+
+  ana.send({ type: 'RESTART' });
+  await ana.next('TABLE_RESET');
+  const ls = await ana.next('LOBBY_STATE');
+  assert.equal(ls.lobby.playing, false);
+  assert.deepEqual(ls.lobby.bots, ['easy']);
+  await cid.next('TABLE_RESET');
+  assert.equal((await cid.next('LOBBIES')).lobbies.find(l => l.id === 'mp1').spectators, 0);
+});
+
+test('the rules stay as they are until a series is over', async t => {
+  const port = await startServer(t);
+  const ana = await connect(t, port);
+  ana.send({ type: 'JOIN_LOBBY', lobbyId: 'mp1', playerName: 'Ana' });
+  await ana.next('JOINED');
+  ana.send({ type: 'SET_RULES', rules: { targetScore: 1, revealSecs: 2, series: 3 } });
+  ana.send({ type: 'ADD_BOT', level: 'easy' });
+  await ana.next(m => m.type === 'LOBBY_STATE' && m.lobby.bots.length === 1);
+  ana.send({ type: 'START' });
+  const view = await playOut(ana);
+  assert.equal(view.series.over, false);
+  ana.send({ type: 'SET_RULES', rules: { targetScore: 1, revealSecs: 2, series: 3, birdBonus: 0 } });
+  assert.match((await ana.next('ERROR')).text, /série/);
+});
+
+test('account names that match Object.prototype keys are plain names', async t => {
+  const port = await startServer(t);
+  const ana = await connect(t, port);
+  ana.send({ type: 'LOGIN', name: 'constructor', pin: '1234' });
+  assert.match((await ana.next('ERROR')).text, /errados/);
+  const status = name => new Promise((resolve, reject) => {
+    http.get('http://localhost:' + port + '/api/players/' + name, res => { res.resume(); resolve(res.statusCode); }).on('error', reject);
+  });
+  assert.equal(await status('constructor'), 404);
+  assert.equal(await status('__proto__'), 404);
+  ana.send({ type: 'REGISTER', name: 'toString', pin: '1234' });
+  assert.equal((await ana.next('ACCOUNT')).name, 'toString');
+  assert.equal(await status('tostring'), 200);
+});
+
+test('guest results go to no account, not even one named null', async t => {
+  const port = await startServer(t);
+  const ana = await connect(t, port), nul = await connect(t, port);
+  nul.send({ type: 'REGISTER', name: 'null', pin: '1234' });
+  await nul.next('ACCOUNT');
+  ana.send({ type: 'JOIN_LOBBY', lobbyId: 'mp1', playerName: 'Ana' });
+  await ana.next('JOINED');
+  ana.send({ type: 'SET_RULES', rules: { targetScore: 1, revealSecs: 2 } });
+  ana.send({ type: 'ADD_BOT', level: 'easy' });
+  await ana.next(m => m.type === 'LOBBY_STATE' && m.lobby.bots.length === 1);
+  ana.send({ type: 'START' });
+  const view = await playOut(ana);
+  assert.equal((await profile(port, 'null')).games, 0);
+});
+
+test('a seat a bot took over earns its player no stats', async t => {
+  const port = await startServer(t);
+  const ana = await connect(t, port), bia = await connect(t, port);
+  ana.send({ type: 'REGISTER', name: 'Ana', pin: '1234' });
+  await ana.next('ACCOUNT');
+  bia.send({ type: 'REGISTER', name: 'Bia', pin: '1234' });
+  await bia.next('ACCOUNT');
+  ana.send({ type: 'JOIN_LOBBY', lobbyId: 'mp1' });
+  await ana.next('JOINED');
+  ana.send({ type: 'SET_TAKEOVER', on: true });
+  ana.send({ type: 'SET_RULES', rules: { targetScore: 1, revealSecs: 2 } });
+  bia.send({ type: 'JOIN_LOBBY', lobbyId: 'mp1' });
+  await bia.next('JOINED');
+  bia.send({ type: 'READY', on: true });
+  await ana.next(m => m.type === 'LOBBY_STATE' && m.lobby.ready[1] && m.lobby.takeover);
+  ana.send({ type: 'START' });
+  await bia.next(state('BETTING'));
+  bia.send({ type: 'LEAVE_LOBBY' });
+
+  const view = await playOut(ana);
+  assert.equal(view.players[1].bot, 'normal');
+  assert.equal((await profile(port, 'ana')).games, 1);
+  assert.equal((await profile(port, 'bia')).games, 0);
+});